@@ -0,0 +1,13 @@
+// instrumentation.js
+// Next.js calls register() once when the server process starts; background jobs start here
+// so they run after a restart even before any API route is requested
+
+export async function register() {
+  // Only the Node.js server runs background jobs; the edge runtime has no ssh2 or fs
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+  const { startVMReaper } = await import('./lib/vmReaper');
+  const { startOffboardingScheduler } = await import('./lib/offboarding');
+  startVMReaper();
+  startOffboardingScheduler();
+}
@@ -0,0 +1,177 @@
+// lib/audit.js
+// Append-only audit trail of account and VM operations (one JSON object per line)
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { csvField } from './csvExport';
+import { dataPath } from './jsonStore';
+import { getSession } from './session';
+
+const AUDIT_FILE = dataPath(process.env.AUDIT_LOG_FILE || 'audit.jsonl');
+const SECRET_KEY_RE = /pass(word)?|secret|token|ticket|csrf/i;
+// Comma-separated addresses of reverse proxies whose X-Forwarded-For is believed
+const TRUSTED_PROXIES = (process.env.TRUSTED_PROXIES || '')
+  .split(',')
+  .map((a) => normalizeIp(a))
+  .filter(Boolean);
+
+// Who is acting in the current request; shared across hot reloads like the timers
+const actorStore = (globalThis.__narrekappeAuditActor ||= new AsyncLocalStorage());
+// Appends run one at a time so lines never interleave
+let appendLock = Promise.resolve();
+
+// Replace secret values (passwords, tokens, tickets) before anything is written
+export function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, SECRET_KEY_RE.test(key) ? '[redacted]' : redact(v)])
+    );
+  }
+  return value;
+}
+
+// The actor of the current request, or "system" for scheduled jobs
+export function currentActor() {
+  return actorStore.getStore() || { actor: 'system', role: 'system' };
+}
+
+function normalizeIp(address) {
+  return String(address || '').trim().replace(/^::ffff:(?=\d+\.)/, '');
+}
+
+// Address of the client. X-Forwarded-For is only honoured when the request comes from a
+// trusted proxy; then the last address in it that is not a trusted proxy is the client.
+function clientIp(req) {
+  const peer = normalizeIp(req.socket?.remoteAddress);
+  if (!TRUSTED_PROXIES.includes(peer)) return peer;
+  const hops = String(req.headers?.['x-forwarded-for'] || '')
+    .split(',')
+    .map(normalizeIp)
+    .filter(Boolean);
+  while (hops.length > 0 && TRUSTED_PROXIES.includes(hops[hops.length - 1])) hops.pop();
+  return hops.pop() || peer;
+}
+
+// Wrap an API handler so audit entries written while it runs name the signed-in user
+export function withAuditActor(handler) {
+  return (req, res) => {
+    const session = getSession(req);
+    const ip = clientIp(req);
+    const actor = {
+      actor: session?.userid || 'anonymous',
+      role: session?.role || 'anonymous',
+      ip: ip || undefined,
+    };
+    return actorStore.run(actor, () => handler(req, res));
+  };
+}
+
+// Append an entry: { action, userid?, vmid?, params?, result: 'success' | 'failure', error? }
+export async function recordAudit({ action, userid, vmid, params, result = 'success', error }) {
+  const who = currentActor();
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    actor: who.actor,
+    role: who.role,
+    ip: who.ip,
+    action,
+    userid,
+    vmid,
+    params: params ? redact(params) : undefined,
+    result,
+    error,
+  };
+
+  const write = appendLock.then(async () => {
+    await fs.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+    await fs.appendFile(AUDIT_FILE, `${JSON.stringify(entry)}\n`);
+  });
+  appendLock = write.catch(() => {});
+
+  try {
+    await write;
+  } catch (e) {
+    // A broken audit disk must not hide the operation's own outcome
+    console.error(`[AUDIT] Could not write entry for ${action}: ${e.message}`);
+  }
+  return entry;
+}
+
+// Run an operation and record its outcome. The entry's userid/vmid fall back to the
+// ones in fn's result (e.g. the VMID a deployment got). Errors are recorded and rethrown.
+export async function audited(action, { userid, vmid, params } = {}, fn) {
+  try {
+    const out = await fn();
+    await recordAudit({
+      action,
+      userid: userid ?? out?.userid,
+      vmid: vmid ?? out?.vmid,
+      params,
+      result: 'success',
+    });
+    return out;
+  } catch (e) {
+    await recordAudit({ action, userid, vmid, params, result: 'failure', error: String(e?.message || e) });
+    throw e;
+  }
+}
+
+async function readEntries() {
+  let text;
+  try {
+    text = await fs.readFile(AUDIT_FILE, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A line cut off by a crash; skip it
+    }
+  }
+  return entries;
+}
+
+// Query entries, newest first. Filters: from/to (ISO), actor, action (prefix, e.g. "user."),
+// userid, vmid, result, q (text anywhere in the entry). Returns { total, entries }.
+export async function queryAudit({ from, to, actor, action, userid, vmid, result, q, limit = 200, offset = 0 } = {}) {
+  // A bare date in "to" includes that whole day
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : null;
+  const needle = q ? String(q).toLowerCase() : '';
+
+  const matches = (await readEntries())
+    .filter((e) => {
+      const time = Date.parse(e.timestamp);
+      if (fromTime !== null && !Number.isNaN(fromTime) && time < fromTime) return false;
+      if (toTime !== null && !Number.isNaN(toTime) && time > toTime) return false;
+      if (actor && e.actor !== actor) return false;
+      if (action && !String(e.action || '').startsWith(action)) return false;
+      if (userid && e.userid !== userid) return false;
+      if (vmid && String(e.vmid) !== String(vmid)) return false;
+      if (result && e.result !== result) return false;
+      if (needle && !JSON.stringify(e).toLowerCase().includes(needle)) return false;
+      return true;
+    })
+    .reverse();
+
+  return { total: matches.length, entries: limit ? matches.slice(offset, offset + limit) : matches.slice(offset) };
+}
+
+export const AUDIT_CSV_COLUMNS = ['timestamp', 'actor', 'role', 'ip', 'action', 'userid', 'vmid', 'result', 'error', 'params'];
+
+// Entries as CSV (RFC 4180), params as JSON
+export function auditToCsv(entries) {
+  const field = (value) => csvField(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+  return [AUDIT_CSV_COLUMNS.join(',')]
+    .concat(entries.map((e) => AUDIT_CSV_COLUMNS.map((c) => field(e[c])).join(',')))
+    .join('\r\n');
+}
@@ -0,0 +1,121 @@
+// lib/bulkUsers.js
+// Bulk user actions (disable, delete, delete including VMs) with a per-user report
+
+import {
+  checkUserActiveVMs,
+  decodeComment,
+  getRealm,
+  proxmoxDeleteUser,
+  proxmoxListUsers,
+  proxmoxModifyUser,
+} from './proxmoxApi';
+import { offboardUser } from './offboarding';
+import { assertUserid } from './shellCommand';
+import { recordAudit } from './audit';
+
+export const BULK_ACTIONS = ['disable', 'delete', 'delete-with-vms'];
+// These cannot be undone and need a typed confirmation
+export const DESTRUCTIVE_ACTIONS = ['delete', 'delete-with-vms'];
+
+// What the admin has to type to confirm a destructive action, e.g. "DELETE 12"
+export function confirmationPhrase(action, count) {
+  return `${action === 'delete-with-vms' ? 'DELETE WITH VMS' : action.toUpperCase()} ${count}`;
+}
+
+const HEADER_WORDS = new Set(['userid', 'username', 'user', 'name', 'email']);
+
+function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Match uploaded lines (userid, username, email or full name) to existing users.
+// Returns [{ input, userid }] or [{ input, error }] per non-empty line.
+export async function resolveUsers(entries) {
+  const realm = getRealm();
+  const users = (await proxmoxListUsers())
+    .filter((u) => typeof u.userid === 'string' && u.userid.endsWith(`@${realm}`))
+    .map((u) => {
+      const decoded = decodeComment(u.comment);
+      return {
+        userid: u.userid,
+        email: normalizeName(u.email || decoded.email),
+        fullName: normalizeName(decoded.fullName),
+      };
+    });
+
+  const lines = entries
+    .map((e) => String(e ?? '').trim().replace(/^"(.*)"$/, '$1').trim())
+    .filter(Boolean);
+  if (lines.length > 0 && HEADER_WORDS.has(lines[0].toLowerCase())) lines.shift();
+
+  return lines.map((input) => {
+    const key = normalizeName(input);
+    const userid = input.includes('@') && input.endsWith(`@${realm}`) ? input : `${input}@${realm}`;
+    const matches = users.filter((u) => u.userid === userid || u.email === key || u.fullName === key);
+    const unique = [...new Set(matches.map((u) => u.userid))];
+
+    if (unique.length === 1) return { input, userid: unique[0] };
+    if (unique.length === 0) return { input, error: 'No matching user' };
+    return { input, error: `Ambiguous: matches ${unique.join(', ')}` };
+  });
+}
+
+async function runOne(action, userid) {
+  assertUserid(userid);
+
+  if (action === 'disable') {
+    await proxmoxModifyUser({ userid, enable: false });
+    return { userid, ok: true };
+  }
+
+  if (action === 'delete') {
+    // Deleting the account alone would leave its VMs without an owner
+    const vmids = await checkUserActiveVMs(userid.split('@')[0]);
+    if (vmids.length > 0) {
+      return {
+        userid,
+        ok: false,
+        vmids,
+        error: `User still has VMs (${vmids.join(', ')}); use "delete including VMs"`,
+      };
+    }
+    await proxmoxDeleteUser({ userid });
+    return { userid, ok: true };
+  }
+
+  // delete-with-vms: the offboarding steps without grace period or archive
+  const report = await offboardUser({ userid, archive: 'none', graceDays: 0 });
+  const failed = report.steps.find((s) => !s.ok);
+  return {
+    userid,
+    ok: report.ok,
+    steps: report.steps,
+    error: failed ? `${failed.step}: ${failed.error}` : undefined,
+  };
+}
+
+// Run one action for every userid, one user at a time; failures do not stop the run
+export async function runBulkAction(action, userids) {
+  if (!BULK_ACTIONS.includes(action)) throw new Error(`Invalid bulk action: ${action}`);
+
+  const results = [];
+  for (const userid of [...new Set(userids)]) {
+    try {
+      results.push(await runOne(action, userid));
+    } catch (e) {
+      results.push({ userid, ok: false, error: String(e?.message || e) });
+    }
+  }
+
+  const success = results.filter((r) => r.ok).length;
+  console.log('[BULK] action=%s total=%d success=%d failed=%d', action, results.length, success, results.length - success);
+  await recordAudit({
+    action: 'users.bulk',
+    params: { action, total: results.length, success, failed: results.length - success },
+    result: success === results.length ? 'success' : 'failure',
+  });
+  return { action, total: results.length, success, failed: results.length - success, results };
+}
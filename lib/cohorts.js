@@ -0,0 +1,110 @@
+// lib/cohorts.js
+// Cohorts: a Proxmox group per class, with its own resource pool and ACL
+
+import { backend } from './proxmoxBackend';
+import { assertGroupid, assertPoolid, assertRoleid, assertUserid } from './shellCommand';
+import { NotFoundError } from './errors';
+import { audited } from './audit';
+import { isRoleGroup } from './roles';
+import { invalidateSessionCache } from './session';
+
+// Role the cohort's group gets on its pool when the import names none. Every member's VM
+// is in the pool, so this must not include VM.PowerMgmt or VM.Console: owners get those
+// on their own VM (VM_OWNER_ROLE on /vms/<vmid>) when it is deployed.
+const COHORT_ROLE = process.env.COHORT_ROLE || 'PVEAuditor';
+// Pool ids are the group id with this prefix, e.g. "lab-" -> pool "lab-klas1a"
+const COHORT_POOL_PREFIX = process.env.COHORT_POOL_PREFIX || '';
+
+export function getDefaultCohortRole() {
+  return COHORT_ROLE;
+}
+
+// Pool that belongs to a cohort group
+export function cohortPoolId(groupid) {
+  return `${COHORT_POOL_PREFIX}${groupid}`;
+}
+
+function groupMembers(group) {
+  return String(group.users || '')
+    .split(',')
+    .map((u) => u.trim())
+    .filter(Boolean);
+}
+
+// List groups with their members and whether the cohort pool exists
+export async function listCohorts() {
+  const pve = backend();
+  const [groups, pools] = await Promise.all([pve.listGroups(), pve.listPools()]);
+  const poolIds = new Set(pools.map((p) => p.poolid));
+
+  return groups
+    .map((g) => ({
+      groupid: g.groupid,
+      comment: g.comment || '',
+      members: groupMembers(g).sort(),
+      pool: poolIds.has(cohortPoolId(g.groupid)) ? cohortPoolId(g.groupid) : null,
+    }))
+    .sort((a, b) => a.groupid.localeCompare(b.groupid));
+}
+
+// Role ids known to the cluster
+export async function listRoleIds() {
+  return (await backend().listRoles()).map((r) => r.roleid);
+}
+
+// Create the group and pool when missing and grant the group a role on the pool.
+// Safe to run again: existing groups and pools are kept, the ACL is re-applied.
+export async function ensureCohort(groupid, { role = COHORT_ROLE, comment } = {}) {
+  assertGroupid(groupid);
+  assertRoleid(role);
+  const pve = backend();
+  const poolid = assertPoolid(cohortPoolId(groupid));
+
+  return audited('group.ensure', { params: { groupid, poolid, role } }, async () => {
+    const [groups, pools] = await Promise.all([pve.listGroups(), pve.listPools()]);
+    const createdGroup = !groups.some((g) => g.groupid === groupid);
+    const createdPool = !pools.some((p) => p.poolid === poolid);
+
+    if (createdGroup) await pve.createGroup(groupid, comment || `Cohort ${groupid}`);
+    if (createdPool) await pve.createPool(poolid, comment || `VMs of cohort ${groupid}`);
+    await pve.setAcl(`/pool/${poolid}`, { groups: groupid, roles: role, propagate: 1 });
+
+    return { groupid, poolid, role, createdGroup, createdPool };
+  });
+}
+
+// Move a user into a group. With from, the user leaves that group; without it, the
+// user leaves every other cohort but keeps the admin/teacher role groups. An empty
+// "to" only removes.
+export async function moveUserToGroup(userid, { to, from } = {}) {
+  assertUserid(userid);
+  if (to) assertGroupid(to);
+  if (from) assertGroupid(from);
+  const pve = backend();
+
+  return audited('group.move', { userid, params: { from, to } }, async () => {
+    const groups = await pve.listGroups();
+    if (to && !groups.some((g) => g.groupid === to)) {
+      throw new NotFoundError(`Group ${to} does not exist`);
+    }
+
+    const current = groups.filter((g) => groupMembers(g).includes(userid)).map((g) => g.groupid);
+    const kept = from ? current.filter((g) => g !== from) : current.filter(isRoleGroup);
+    const next = [...new Set(to ? [...kept, to] : kept)];
+
+    await pve.modifyUser(userid, { groups: next.join(',') });
+    invalidateSessionCache(userid);
+    return { userid, groups: next, previous: current };
+  });
+}
+
+// Pool for a user's VMs: the pool of the first cohort the user belongs to
+export async function getUserCohortPool(userid) {
+  const pve = backend();
+  const [groups, pools] = await Promise.all([pve.listGroups(), pve.listPools()]);
+  const poolIds = new Set(pools.map((p) => p.poolid));
+  const group = groups
+    .filter((g) => groupMembers(g).includes(userid))
+    .find((g) => poolIds.has(cohortPoolId(g.groupid)));
+  return group ? cohortPoolId(group.groupid) : null;
+}
@@ -0,0 +1,11 @@
+// lib/csvExport.js
+// CSV cells for files admins open in a spreadsheet; safe to use in the browser too
+
+// Quote a value for a CSV cell. Cells that a spreadsheet would run as a formula
+// ("=HYPERLINK(...)", "+1", "-1", "@SUM") get a leading apostrophe.
+export function csvField(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  // Semicolons too, for Excel locales that use them as the delimiter
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
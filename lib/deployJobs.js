@@ -0,0 +1,119 @@
+// lib/deployJobs.js
+// Run deployVM as a background job with persisted progress
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { checkDeployRequest, deployVM } from './proxmoxApi';
+import { readJson, updateJson } from './jsonStore';
+import { NotFoundError, ForbiddenError } from './errors';
+import { assertTemplateName, assertUsername } from './shellCommand';
+
+const JOBS_FILE = 'deploy-jobs.json';
+const JOB_RETENTION = 24 * 60 * 60 * 1000; // keep finished jobs for a day
+
+// Clone deployments go through cloning instead of creating and importing
+export const JOB_STATES = [
+  'queued', 'creating', 'importing', 'cloning', 'starting', 'waiting-for-ip', 'snapshotting', 'done', 'failed',
+];
+const FINAL_STATES = new Set(['done', 'failed']);
+
+// Emits "<jobId>" with the updated job on every state change
+const events = (globalThis.__deployJobEvents ||= new EventEmitter());
+events.setMaxListeners(0);
+
+export function isFinalState(state) {
+  return FINAL_STATES.has(state);
+}
+
+async function saveJob(job) {
+  await updateJson(JOBS_FILE, {}, (jobs) => {
+    jobs[job.id] = job;
+  });
+  events.emit(job.id, job);
+}
+
+// Move a job to a new state and record when it happened
+async function transition(job, state, patch = {}) {
+  Object.assign(job, patch, { state, updatedAt: new Date().toISOString() });
+  job.steps.push({ state, at: job.updatedAt });
+  await saveJob(job);
+}
+
+// Jobs that were running when the server stopped can never finish
+async function recoverInterruptedJobs() {
+  if (globalThis.__deployJobsRecovered) return;
+  globalThis.__deployJobsRecovered = true;
+
+  const now = Date.now();
+  await updateJson(JOBS_FILE, {}, (jobs) => {
+    for (const [id, job] of Object.entries(jobs)) {
+      if (isFinalState(job.state)) {
+        if (now - Date.parse(job.updatedAt) > JOB_RETENTION) delete jobs[id];
+        continue;
+      }
+      const at = new Date(now).toISOString();
+      job.state = 'failed';
+      job.error = 'Interrupted by a server restart';
+      job.updatedAt = at;
+      job.steps.push({ state: 'failed', at });
+    }
+  });
+}
+
+// Queue a deployment and return the job right away
+export async function createDeployJob({ vmName, username, memory, cores }) {
+  assertTemplateName(vmName);
+  assertUsername(username);
+  await checkDeployRequest({ vmName, username, memory, cores });
+  await recoverInterruptedJobs();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    username,
+    vmName,
+    state: 'queued',
+    vmid: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    steps: [{ state: 'queued', at: now }],
+  };
+  await saveJob(job);
+
+  // Progress callbacks fire in order; chain the writes so they land in order too
+  let pending = Promise.resolve();
+  const onProgress = (state, detail) => {
+    pending = pending.then(() => transition(job, state, detail.vmid ? { vmid: detail.vmid } : {}));
+  };
+
+  deployVM({ vmName, username, memory, cores, onProgress })
+    .then(async (result) => {
+      await pending;
+      await transition(job, 'done', { vmid: result.vmid, result });
+    })
+    .catch(async (e) => {
+      await pending.catch(() => {});
+      await transition(job, 'failed', { error: String(e?.message || e) });
+    })
+    .catch((e) => console.error(`[DEPLOY] Job ${job.id}: ${e.message}`));
+
+  return job;
+}
+
+// Get a job, only if it belongs to this user
+export async function getDeployJob(jobId, username) {
+  await recoverInterruptedJobs();
+  const jobs = await readJson(JOBS_FILE, {});
+  const job = jobs[jobId];
+  if (!job) throw new NotFoundError(`Job ${jobId} not found`);
+  if (username && job.username !== username) throw new ForbiddenError('Job does not belong to you');
+  return job;
+}
+
+// Subscribe to updates of a job; returns an unsubscribe function
+export function subscribeDeployJob(jobId, listener) {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+}
@@ -0,0 +1,43 @@
+// lib/errors.js
+// Error types that API routes map to HTTP status codes
+
+import { CommandArgumentError } from './shellCommand';
+
+export class HttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message) {
+    super(message, 404);
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message) {
+    super(message, 403);
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+export class QuotaExceededError extends HttpError {
+  constructor(message) {
+    super(`Quota exceeded: ${message}`, 403);
+  }
+}
+
+// HTTP status for an error thrown by lib code
+export function errorStatus(e) {
+  if (e instanceof HttpError) return e.status;
+  if (e instanceof CommandArgumentError) return 400;
+  return 500;
+}
@@ -0,0 +1,35 @@
+// lib/guestNetwork.js
+// Helpers for the network interfaces reported by the QEMU guest agent
+
+// Turn the agent's network-get-interfaces result into
+// [{ name, mac, ipv4: [{ address, prefix }], ipv6: [...] }], without loopback
+export function parseAgentInterfaces(result) {
+  return (Array.isArray(result) ? result : [])
+    .filter((iface) => iface.name !== 'lo')
+    .map((iface) => {
+      const addresses = iface['ip-addresses'] || [];
+      const pick = (type) =>
+        addresses
+          .filter((a) => a['ip-address-type'] === type)
+          .map((a) => ({ address: a['ip-address'], prefix: a.prefix ?? null }));
+      return {
+        name: iface.name,
+        mac: (iface['hardware-address'] || '').toLowerCase(),
+        ipv4: pick('ipv4'),
+        ipv6: pick('ipv6'),
+      };
+    });
+}
+
+// Pick the address to show users: the first routable IPv4, else a global IPv6
+export function primaryAddress(interfaces) {
+  for (const iface of interfaces) {
+    const ipv4 = iface.ipv4.find((a) => !a.address.startsWith('127.') && !a.address.startsWith('169.254.'));
+    if (ipv4) return ipv4.address;
+  }
+  for (const iface of interfaces) {
+    const ipv6 = iface.ipv6.find((a) => a.address !== '::1' && !a.address.toLowerCase().startsWith('fe80'));
+    if (ipv6) return ipv6.address;
+  }
+  return null;
+}
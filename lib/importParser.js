@@ -0,0 +1,153 @@
+// lib/importParser.js
+// Parse user import files: RFC 4180 CSV (comma, semicolon or tab) and XLSX
+
+import * as XLSX from 'xlsx';
+
+// The "xlsx" package on npm stops at 0.18.5, which has prototype pollution and ReDoS
+// bugs (fixed in 0.19.3 and 0.20.2); install SheetJS from cdn.sheetjs.com (see README)
+const XLSX_MIN_VERSION = [0, 20, 3];
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Accepted header spellings (compared lowercase, with spaces/dashes as underscores)
+const HEADER_ALIASES = {
+  first_name: ['first_name', 'firstname', 'first', 'given_name', 'givenname', 'voornaam'],
+  last_name: ['last_name', 'lastname', 'last', 'surname', 'family_name', 'achternaam'],
+  password: ['password', 'pass', 'wachtwoord'],
+  email: ['email', 'e_mail', 'mail', 'email_address', 'emailadres'],
+  group: ['group', 'cohort', 'class', 'klas', 'groep'],
+  role: ['role', 'rol'],
+  expire: ['expire', 'expires', 'expiry', 'expiration', 'expires_at', 'verloopdatum'],
+};
+
+function canonicalHeader(raw) {
+  const key = String(raw || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+  for (const [canonical, aliases] of Object.entries(HEADER_ALIASES)) {
+    if (aliases.includes(key)) return canonical;
+  }
+  return key;
+}
+
+// Pick the delimiter that occurs most often (outside quotes) in the first line
+function detectDelimiter(text) {
+  const counts = Object.fromEntries(DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+// Split CSV text into records of fields; each record remembers the line it started on
+function tokenizeCsv(text, delimiter) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field.trim() === '') {
+      field = '';
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) endRecord();
+  return records;
+}
+
+// Turn [{ line, fields }] into { header, rows }, skipping blank lines.
+// Every row gets a "row" property with its line number in the source file.
+function toRows(records) {
+  const nonEmpty = records.filter((r) => r.fields.some((f) => String(f).trim() !== ''));
+  if (nonEmpty.length === 0) return { header: [], rows: [] };
+
+  const header = nonEmpty[0].fields.map(canonicalHeader);
+  const rows = nonEmpty.slice(1).map(({ line, fields }) => {
+    const obj = { row: line };
+    header.forEach((h, i) => {
+      if (h) obj[h] = String(fields[i] ?? '').trim();
+    });
+    return obj;
+  });
+
+  return { header, rows };
+}
+
+// Parse CSV text (BOM, quoted fields, "" escapes, auto-detected delimiter)
+export function parseCsv(text) {
+  const clean = String(text || '').replace(/^\uFEFF/, '');
+  return toRows(tokenizeCsv(clean, detectDelimiter(clean)));
+}
+
+function isSafeXlsxVersion(version) {
+  const parts = String(version || '0').split('.').map((n) => parseInt(n, 10) || 0);
+  for (let i = 0; i < XLSX_MIN_VERSION.length; i++) {
+    const diff = (parts[i] || 0) - XLSX_MIN_VERSION[i];
+    if (diff !== 0) return diff > 0;
+  }
+  return true;
+}
+
+// Parse the first sheet of an XLSX workbook (Buffer)
+export function parseXlsx(buffer) {
+  // Teachers upload these files; refuse to parse them with a vulnerable build
+  if (!isSafeXlsxVersion(XLSX.version)) {
+    throw new Error(`XLSX import needs SheetJS 0.20.3 or later, found ${XLSX.version}`);
+  }
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return { header: [], rows: [] };
+
+  // The used range may not start at row 1; keep row numbers as Excel shows them
+  const firstRow = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r + 1 : 1;
+  const table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true });
+  return toRows(table.map((fields, i) => ({ line: firstRow + i, fields })));
+}
+
+// Parse an import request body: { csv } text or { xlsx } base64
+export function parseImport({ csv, xlsx }) {
+  if (xlsx) return parseXlsx(Buffer.from(String(xlsx), 'base64'));
+  return parseCsv(csv);
+}
@@ -0,0 +1,49 @@
+// lib/jsonStore.js
+// Small JSON file store for state that has to survive restarts
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+// Per-file promise chain so read-modify-write cycles never interleave
+const locks = new Map();
+
+// Get the absolute path of a file inside the data directory
+export function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+// Read a JSON file, returning the fallback if it does not exist yet
+export async function readJson(name, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(dataPath(name), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+}
+
+// Write a JSON file atomically (temp file + rename)
+export async function writeJson(name, value) {
+  const file = dataPath(name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// Read, modify and write a JSON file under a lock; resolves with fn's return value
+export function updateJson(name, fallback, fn) {
+  const previous = locks.get(name) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const current = await readJson(name, fallback);
+      const result = await fn(current);
+      await writeJson(name, current);
+      return result;
+    });
+  locks.set(name, next);
+  return next;
+}
@@ -0,0 +1,67 @@
+// lib/mailer.js
+// Welcome emails for new accounts, sent through the configured SMTP server
+
+import { promises as fs } from 'fs';
+import nodemailer from 'nodemailer';
+
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || '587', 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === '1'; // TLS from the start (port 465)
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const MAIL_FROM = process.env.MAIL_FROM || 'Narrekappe <no-reply@narrekappe.nl>';
+const WELCOME_EMAIL_SUBJECT = process.env.WELCOME_EMAIL_SUBJECT || 'Your Narrekappe lab account';
+// Optional text file with {{fullName}}, {{username}}, {{password}} and {{loginUrl}} placeholders
+const WELCOME_EMAIL_TEMPLATE = process.env.WELCOME_EMAIL_TEMPLATE;
+
+const DEFAULT_TEMPLATE = `Hello {{fullName}},
+
+An account has been created for you on the Narrekappe lab environment.
+
+Login:    {{loginUrl}}
+Username: {{username}}
+Password: {{password}}
+
+Please change your password after your first login.
+`;
+
+let transport = null;
+
+export function isMailConfigured() {
+  return Boolean(SMTP_HOST);
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+    });
+  }
+  return transport;
+}
+
+async function loadTemplate() {
+  if (!WELCOME_EMAIL_TEMPLATE) return DEFAULT_TEMPLATE;
+  return fs.readFile(WELCOME_EMAIL_TEMPLATE, 'utf8');
+}
+
+// Replace {{name}} placeholders; unknown placeholders become empty
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => String(values[key] ?? ''));
+}
+
+// Send the welcome email for one new account
+export async function sendWelcomeEmail({ to, fullName, username, password, loginUrl }) {
+  if (!isMailConfigured()) throw new Error('SMTP is not configured (SMTP_HOST)');
+
+  const text = renderTemplate(await loadTemplate(), { fullName, username, password, loginUrl });
+  await getTransport().sendMail({
+    from: MAIL_FROM,
+    to,
+    subject: WELCOME_EMAIL_SUBJECT,
+    text,
+  });
+}
@@ -0,0 +1,165 @@
+// lib/offboarding.js
+// Offboarding workflow for a departing user: disable, archive and destroy VMs, delete later
+
+import {
+  archiveVM,
+  checkUserActiveVMs,
+  proxmoxDeleteUser,
+  proxmoxModifyUser,
+  stopVM,
+} from './proxmoxApi';
+import { assertUserid } from './shellCommand';
+import { readJson, updateJson, writeJson } from './jsonStore';
+import { startInterval } from './scheduler';
+import { NotFoundError } from './errors';
+import { recordAudit } from './audit';
+
+const PENDING_FILE = 'offboarding-pending.json';
+const DEFAULT_GRACE_DAYS = parseInt(process.env.OFFBOARDING_GRACE_DAYS || '14', 10);
+const CHECK_INTERVAL = 60 * 60 * 1000; // hourly
+
+export const ARCHIVE_MODES = ['none', 'config', 'disk'];
+
+// Run a single step and record it in the report; returns false if it failed
+async function runStep(steps, step, fn) {
+  try {
+    const detail = await fn();
+    steps.push({ step, ok: true, ...(detail || {}) });
+    return true;
+  } catch (e) {
+    steps.push({ step, ok: false, error: String(e?.message || e) });
+    return false;
+  }
+}
+
+// Offboard a user. Steps run in order and stop at the first failure.
+export async function offboardUser({ userid, archive = 'none', graceDays = DEFAULT_GRACE_DAYS }) {
+  assertUserid(userid);
+  if (!ARCHIVE_MODES.includes(archive)) {
+    throw new Error(`Invalid archive mode: ${archive}`);
+  }
+
+  const username = userid.split('@')[0];
+  const steps = [];
+  const report = async () => {
+    const ok = steps.every((s) => s.ok);
+    const failed = steps.find((s) => !s.ok);
+    // The steps are audited one by one; this entry ties them together
+    await recordAudit({
+      action: 'user.offboard',
+      userid,
+      params: { archive, graceDays, steps: steps.map((s) => s.step) },
+      result: ok ? 'success' : 'failure',
+      error: failed ? `${failed.step}: ${failed.error}` : undefined,
+    });
+    return { userid, ok, steps };
+  };
+
+  console.log(`[OFFBOARD] Starting offboarding for ${userid} (archive=${archive}, grace=${graceDays}d)`);
+
+  // 1. Disable the account so the user cannot log in anymore
+  if (!(await runStep(steps, 'disable-account', () => proxmoxModifyUser({ userid, enable: false })))) {
+    return report();
+  }
+
+  // 2. Find the user's VMs
+  let vmids = [];
+  if (!(await runStep(steps, 'find-vms', async () => {
+    vmids = await checkUserActiveVMs(username);
+    return { vmids };
+  }))) {
+    return report();
+  }
+
+  // 3. Archive (optional) and destroy each VM
+  for (const vmid of vmids) {
+    if (archive !== 'none') {
+      const archived = await runStep(steps, 'archive-vm', async () => {
+        const out = await archiveVM(vmid, archive);
+        const file = `archive/${userid}/${vmid}-${Date.now()}.json`;
+        await writeJson(file, { userid, archivedAt: new Date().toISOString(), ...out });
+        return { vmid, file, backupStorage: out.backupStorage };
+      });
+      if (!archived) return report();
+    }
+
+    if (!(await runStep(steps, 'destroy-vm', async () => ({ vmid, ...(await stopVM(vmid, username)) })))) {
+      return report();
+    }
+  }
+
+  // 4. Delete now, or schedule the deletion after the grace period
+  if (graceDays <= 0) {
+    await runStep(steps, 'delete-account', () => proxmoxDeleteUser({ userid }));
+  } else {
+    await runStep(steps, 'schedule-deletion', async () => {
+      const deleteAfter = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000).toISOString();
+      await updateJson(PENDING_FILE, [], (pending) => {
+        const idx = pending.findIndex((p) => p.userid === userid);
+        if (idx >= 0) pending.splice(idx, 1);
+        pending.push({ userid, scheduledAt: new Date().toISOString(), deleteAfter });
+      });
+      await recordAudit({ action: 'user.schedule-deletion', userid, params: { deleteAfter } });
+      return { deleteAfter };
+    });
+  }
+
+  console.log(`[OFFBOARD] Finished offboarding for ${userid}`);
+  return report();
+}
+
+// List users whose final deletion is scheduled
+export async function listPendingDeletions() {
+  return readJson(PENDING_FILE, []);
+}
+
+// Cancel a scheduled deletion and re-enable the account
+export async function cancelPendingDeletion(userid) {
+  assertUserid(userid);
+  const removed = await updateJson(PENDING_FILE, [], (pending) => {
+    const idx = pending.findIndex((p) => p.userid === userid);
+    if (idx < 0) return false;
+    pending.splice(idx, 1);
+    return true;
+  });
+  if (!removed) throw new NotFoundError(`No deletion scheduled for ${userid}`);
+  await recordAudit({ action: 'user.offboard-cancel', userid });
+  await proxmoxModifyUser({ userid, enable: true });
+  return { userid };
+}
+
+// Delete every account whose grace period has passed
+export async function processPendingDeletions() {
+  const now = Date.now();
+  const due = (await listPendingDeletions()).filter((p) => Date.parse(p.deleteAfter) <= now);
+  const results = [];
+
+  for (const { userid } of due) {
+    try {
+      await proxmoxDeleteUser({ userid });
+      results.push({ ok: true, userid });
+    } catch (e) {
+      const error = String(e?.message || e);
+      // Someone already removed the account by hand
+      if (!error.includes('does not exist')) {
+        results.push({ ok: false, userid, error });
+        continue;
+      }
+      results.push({ ok: true, userid, note: 'already deleted' });
+    }
+    await updateJson(PENDING_FILE, [], (pending) => {
+      const idx = pending.findIndex((p) => p.userid === userid);
+      if (idx >= 0) pending.splice(idx, 1);
+    });
+  }
+
+  if (results.length > 0) {
+    console.log('[OFFBOARD] Final deletions: %j', results);
+  }
+  return results;
+}
+
+// Start the hourly check for due deletions (once per process)
+export function startOffboardingScheduler() {
+  startInterval('OFFBOARD', CHECK_INTERVAL, processPendingDeletions);
+}
@@ -0,0 +1,27 @@
+// lib/passwords.js
+// Random initial passwords for imported accounts
+
+import crypto from 'crypto';
+
+// No 0/O, 1/l/I: these passwords end up on paper
+const LOWER = 'abcdefghijkmnopqrstuvwxyz';
+const UPPER = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const DIGITS = '23456789';
+const ALL = LOWER + UPPER + DIGITS;
+
+function pick(chars) {
+  return chars[crypto.randomInt(chars.length)];
+}
+
+// Generate a password with at least one lowercase letter, uppercase letter and digit
+export function generatePassword(length = 14) {
+  const chars = [pick(LOWER), pick(UPPER), pick(DIGITS)];
+  while (chars.length < length) chars.push(pick(ALL));
+
+  // Fisher-Yates so the guaranteed characters are not always up front
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
@@ -1,59 +1,41 @@
 // lib/proxmoxApi.js
-// SSH connection to Proxmox host for VM management
+// Proxmox user and VM management over SSH or the REST API
 
-import { Client } from 'ssh2';
+import { backend } from './proxmoxBackend';
+import { requestTicket } from './proxmoxRest';
+import {
+  CommandArgumentError,
+  assertPositiveInt,
+  assertTemplateName,
+  assertSnapshotName,
+  assertUserid,
+  assertUsername,
+  assertVmid,
+} from './shellCommand';
+import { ConflictError, ForbiddenError, NotFoundError } from './errors';
+import { allocateVmid } from './vmidAllocator';
+import { primaryAddress } from './guestNetwork';
+import { generatePassword } from './passwords';
+import { getUserCohortPool } from './cohorts';
+import { audited, recordAudit } from './audit';
+import { checkQuota, checkSnapshotQuota, reserveQuota, resolveQuota, withInFlight } from './quotas';
+import { withDeployMode } from './templateCatalog';
+import { invalidateSessionCache } from './session';
 
-const PROXMOX_HOST = process.env.PROXMOX_HOST || '192.168.205.30';
-const PROXMOX_USER = process.env.PROXMOX_USER || 'root';
-const PROXMOX_PASSWORD = process.env.PROXMOX_PASSWORD;
-const PROXMOX_REALM = process.env.PROXMOX_REALM || 'pve';
-
-// Execute command on Proxmox via SSH
-export async function execSSH(command) {
-  return new Promise((resolve, reject) => {
-    const conn = new Client();
-    let output = '';
-    let errorOutput = '';
-
-    conn.on('ready', () => {
-      conn.exec(command, (err, stream) => {
-        if (err) {
-          conn.end();
-          return reject(err);
-        }
-
-        stream.on('data', (data) => {
-          output += data.toString();
-        });
-
-        stream.stderr.on('data', (data) => {
-          errorOutput += data.toString();
-        });
-
-        stream.on('close', (code) => {
-          conn.end();
-          if (code !== 0 && errorOutput) {
-            reject(new Error(`Command failed (${code}): ${errorOutput}`));
-          } else {
-            resolve(output.trim());
-          }
-        });
-      });
-    });
+export { execSSH, execCommand } from './sshBackend';
 
-    conn.on('error', (err) => {
-      reject(err);
-    });
-
-    conn.connect({
-      host: PROXMOX_HOST,
-      port: 22,
-      username: PROXMOX_USER,
-      password: PROXMOX_PASSWORD,
-      readyTimeout: 30000,
-    });
-  });
-}
+const PROXMOX_REALM = process.env.PROXMOX_REALM || 'pve';
+const VM_STORAGE = 'local-lvm';
+const ARCHIVE_STORAGE = process.env.PROXMOX_ARCHIVE_STORAGE || 'local';
+// Role a deployed VM's owner gets on /vms/<vmid>
+const VM_OWNER_ROLE = process.env.VM_OWNER_ROLE || 'PVEVMUser';
+// Lab session length and the longest a session may be extended to (minutes);
+// templates can override both with sessionTimeoutMinutes / maxSessionMinutes
+const VM_SESSION_TIMEOUT_MINUTES = parseInt(process.env.VM_SESSION_TIMEOUT_MINUTES || '120', 10);
+const VM_MAX_SESSION_MINUTES = parseInt(process.env.VM_MAX_SESSION_MINUTES || '480', 10);
+const TICKET_LIFETIME = 2 * 60 * 60 * 1000; // PVE tickets are valid for 2 hours
+// Snapshot deployVM takes after first boot; resetVM rolls back to it
+const PRISTINE_SNAPSHOT = 'pristine';
 
 // Get Proxmox realm
 export function getRealm() {
@@ -64,28 +46,134 @@ export function getRealm() {
 // USER MANAGEMENT FUNCTIONS
 // ==========================================
 
+// Throw unless userid is a valid account in the portal's realm. Accounts in other
+// realms (root@pam above all) are never changed through the portal.
+function assertPortalUser(userid) {
+  assertUserid(userid);
+  if (!userid.endsWith(`@${getRealm()}`)) {
+    throw new ForbiddenError(`Only @${getRealm()} accounts can be managed here`);
+  }
+  return userid;
+}
+
 // List all Proxmox users
 export async function proxmoxListUsers() {
-  const output = await execSSH('pveum user list --output-format json');
-  return JSON.parse(output);
+  return backend().listUsers();
 }
 
-// Create Proxmox user
-export async function proxmoxCreateUser({ userid, fullName, password }) {
-  const comment = JSON.stringify({ fullName, email: userid.split('@')[0] });
-  await execSSH(
-    `pveum user add "${userid}" --password "${password}" --comment '${comment.replace(/'/g, "\\'")}'`
-  );
-  return { userid, fullName };
+// Turn an account expiry into PVE's epoch seconds (0 = never expires).
+// Accepts a Date, epoch seconds, an ISO timestamp or a "YYYY-MM-DD" / "DD-MM-YYYY"
+// date, which expires at the end of that day (server time).
+export function toExpireEpoch(value) {
+  if (value === undefined || value === null || value === '' || value === 0 || value === '0') return 0;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new CommandArgumentError('Invalid expiry date');
+    return Math.floor(value.getTime() / 1000);
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  const dmy = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (dmy) {
+    const [, day, month, year] = dmy;
+    try {
+      return toExpireEpoch(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
+    } catch {
+      throw new CommandArgumentError(`Invalid expiry date: ${text}`);
+    }
+  }
+  const ymd = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (ymd) {
+    const [year, month, day] = ymd.slice(1).map(Number);
+    const date = new Date(year, month - 1, day, 23, 59, 59);
+    // Date rolls impossible days over (31-02 becomes 3 March); refuse those instead
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      throw new CommandArgumentError(`Invalid expiry date: ${text}`);
+    }
+    return Math.floor(date.getTime() / 1000);
+  }
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) throw new CommandArgumentError(`Invalid expiry date: ${text}`);
+  return Math.floor(time / 1000);
+}
+
+// PVE's expire field as an ISO timestamp, or null when the account never expires
+export function expireToIso(expire) {
+  const seconds = Number(expire || 0);
+  return seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Create Proxmox user; the email goes into Proxmox's own email field.
+// groups is a list of existing group ids.
+export async function proxmoxCreateUser({ userid, fullName, password, email, expire, groups = [] }) {
+  assertUserid(userid);
+  const comment = JSON.stringify({ fullName });
+  const expireEpoch = toExpireEpoch(expire);
+  const params = { fullName, email: email || undefined, expiresAt: expireToIso(expireEpoch) || undefined, groups };
+  return audited('user.create', { userid, params }, async () => {
+    await backend().createUser({
+      userid,
+      password,
+      comment,
+      email: email || undefined,
+      expire: expireEpoch || undefined,
+      groups: groups.length ? groups.join(',') : undefined,
+    });
+    return { userid, fullName, email: email || '', expiresAt: expireToIso(expireEpoch), groups };
+  });
 }
 
 // Delete Proxmox user
 export async function proxmoxDeleteUser({ userid }) {
-  await execSSH(`pveum user delete "${userid}"`);
-  return { userid };
+  assertPortalUser(userid);
+  return audited('user.delete', { userid }, async () => {
+    await backend().deleteUser(userid);
+    invalidateSessionCache(userid);
+    return { userid };
+  });
+}
+
+// Modify Proxmox user (only the fields that are passed are changed).
+// expire may be null/'' to remove the expiry; email '' clears the address.
+export async function proxmoxModifyUser({ userid, enable, expire, fullName, email }) {
+  assertPortalUser(userid);
+  const options = {};
+  if (enable !== undefined) options.enable = enable ? 1 : 0;
+  if (expire !== undefined) options.expire = toExpireEpoch(expire);
+  if (fullName !== undefined) options.comment = JSON.stringify({ fullName: String(fullName).trim() });
+  if (email !== undefined) options.email = String(email).trim();
+  if (Object.keys(options).length === 0) throw new CommandArgumentError('Nothing to change');
+
+  const params = {
+    enable,
+    expiresAt: options.expire === undefined ? undefined : expireToIso(options.expire),
+    fullName,
+    email,
+  };
+  await audited('user.modify', { userid, params }, () => backend().modifyUser(userid, options));
+  // A disabled or expired account loses its open sessions right away
+  invalidateSessionCache(userid);
+
+  const result = { userid };
+  if (options.enable !== undefined) result.enabled = options.enable === 1;
+  if (options.expire !== undefined) result.expiresAt = expireToIso(options.expire);
+  if (fullName !== undefined) result.fullName = String(fullName).trim();
+  if (options.email !== undefined) result.email = options.email;
+  return result;
+}
+
+// Set a new password for a user; without one a password is generated.
+// The password is returned so the admin can hand it over; it is not stored.
+export async function proxmoxResetPassword({ userid, password }) {
+  assertPortalUser(userid);
+  const newPassword = password ? String(password) : generatePassword();
+  if (newPassword.length < 8) throw new CommandArgumentError('Password must be at least 8 characters');
+  await audited('user.password-reset', { userid, params: { generated: !password } }, () =>
+    backend().setUserPassword(userid, newPassword)
+  );
+  return { userid, password: newPassword, generated: !password };
 }
 
-// Decode comment field
+// Decode comment field (older accounts also kept an "email" here)
 export function decodeComment(comment) {
   try {
     const parsed = JSON.parse(comment || '{}');
@@ -98,33 +186,77 @@ export function decodeComment(comment) {
   }
 }
 
-// Authenticate user
+// Failure codes returned by authenticateUser
+export const AUTH_ERRORS = {
+  UNKNOWN_USER: 'UNKNOWN_USER',
+  WRONG_PASSWORD: 'WRONG_PASSWORD',
+  ACCOUNT_DISABLED: 'ACCOUNT_DISABLED',
+  ACCOUNT_EXPIRED: 'ACCOUNT_EXPIRED',
+  TFA_REQUIRED: 'TFA_REQUIRED',
+  UNAVAILABLE: 'UNAVAILABLE',
+};
+
+// Authenticate user against /access/ticket; the password is never changed.
+// Every attempt is audited as auth.login with its failure code.
 export async function authenticateUser(username, password) {
+  const result = await checkCredentials(username, password);
+  await recordAudit({
+    action: 'auth.login',
+    userid: `${String(username).slice(0, 64)}@${getRealm()}`,
+    result: result.success ? 'success' : 'failure',
+    error: result.success ? undefined : result.code,
+  });
+  return result;
+}
+
+async function checkCredentials(username, password) {
   const realm = getRealm();
   const userid = `${username}@${realm}`;
   
   try {
-    // Verify user exists
-    const users = await proxmoxListUsers();
-    const userExists = users.some(u => u.userid === userid);
-    
-    if (!userExists) {
-      return { success: false, error: 'User not found' };
+    assertUserid(userid);
+  } catch {
+    return { success: false, code: AUTH_ERRORS.UNKNOWN_USER, error: 'User not found' };
+  }
+
+  try {
+    const ticket = await requestTicket(userid, password);
+    if (ticket?.NeedTFA) {
+      // Only a partial ticket: the second factor would still have to be checked
+      return {
+        success: false,
+        code: AUTH_ERRORS.TFA_REQUIRED,
+        error: 'Two-factor authentication is not supported for portal logins',
+      };
+    }
+    if (ticket) {
+      return {
+        success: true,
+        userid,
+        username,
+        ticket: ticket.ticket,
+        csrfToken: ticket.CSRFPreventionToken,
+        expiresAt: new Date(Date.now() + TICKET_LIFETIME).toISOString(),
+      };
     }
 
-    // Try to authenticate using pveum
-    const result = await execSSH(
-      `pveum passwd ${userid} --password "${password}" 2>&1 || echo "FAIL"`
-    );
+    // PVE answers every failed login with the same 401, so look at the account to tell why
+    const users = await proxmoxListUsers();
+    const user = users.find(u => u.userid === userid);
     
-    // If password change succeeds, auth is valid (then change it back)
-    if (!result.includes('FAIL') && !result.includes('error')) {
-      return { success: true, userid, username };
+    if (!user) {
+      return { success: false, code: AUTH_ERRORS.UNKNOWN_USER, error: 'User not found' };
     }
-    
-    return { success: false, error: 'Invalid password' };
+    if (String(user.enable) === '0') {
+      return { success: false, code: AUTH_ERRORS.ACCOUNT_DISABLED, error: 'Account is disabled' };
+    }
+    const expire = Number(user.expire || 0);
+    if (expire > 0 && expire * 1000 < Date.now()) {
+      return { success: false, code: AUTH_ERRORS.ACCOUNT_EXPIRED, error: 'Account has expired' };
+    }
+    return { success: false, code: AUTH_ERRORS.WRONG_PASSWORD, error: 'Invalid password' };
   } catch (e) {
-    return { success: false, error: e.message };
+    return { success: false, code: AUTH_ERRORS.UNAVAILABLE, error: e.message };
   }
 }
 
@@ -132,172 +264,353 @@ export async function authenticateUser(username, password) {
 // VM MANAGEMENT FUNCTIONS
 // ==========================================
 
-// List available templates (converted from OVAs)
+// List templates students can deploy (converted from OVAs, not retired)
 export async function listAvailableTemplates() {
   try {
-    const output = await execSSH('ls -1 /var/lib/vz/template/qemu/*-metadata.json 2>/dev/null || echo ""');
-    
-    if (!output.trim()) {
-      return [];
-    }
-    
-    const files = output.split('\n').filter(f => f.trim());
-    const templates = [];
-    
-    for (const file of files) {
-      try {
-        const metadata = await execSSH(`cat "${file}"`);
-        const data = JSON.parse(metadata);
-        const vmName = file.match(/\/([^/]+)-metadata\.json$/)[1];
-        templates.push({ id: vmName, name: vmName, ...data });
-      } catch (e) {
-        console.error(`Error reading ${file}:`, e.message);
-      }
-    }
-    
-    return templates;
+    return (await backend().listTemplates()).filter((t) => !t.retired).map(withDeployMode);
   } catch (e) {
     console.error('Error listing templates:', e.message);
     return [];
   }
 }
 
-// Check if user has active VMs
+// Proxmox tags deployVM puts on every VM: the portal marker and the owner's username.
+// Tags only narrow down the search; the owner in the description is what counts.
+const PORTAL_TAG = 'narrekappe';
+const OWNER_TAG_PREFIX = 'owner-';
+
+function ownerTags(username) {
+  return `${PORTAL_TAG};${OWNER_TAG_PREFIX}${username}`;
+}
+
+function parseTags(tags) {
+  return String(tags || '')
+    .split(/[;, ]+/)
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Owner userid recorded in a VM's description metadata. VMs deployed before the owner
+// field existed only have the username.
+export function vmOwner(metadata) {
+  if (metadata.owner) return metadata.owner;
+  return metadata.username ? `${metadata.username}@${getRealm()}` : null;
+}
+
+// Exact ownership check on a VM's description metadata
+export function isVMOwner(metadata, username) {
+  return vmOwner(metadata) === `${username}@${getRealm()}`;
+}
+
+// VMIDs of the VMs deployed for a user
 export async function checkUserActiveVMs(username) {
+  assertUsername(username);
+  const pve = backend();
+  // Listing errors are thrown, not read as "no VMs": offboarding and account deletion
+  // rely on this list to destroy everything the user still has
+  const vms = await pve.listVMs();
+  // Tagged VMs with this owner tag, and untagged (older) VMs named "<template>-<username>"
+  const candidates = vms.filter((vm) => {
+    const tags = parseTags(vm.tags);
+    if (tags.includes(PORTAL_TAG)) return tags.includes(`${OWNER_TAG_PREFIX}${username}`.toLowerCase());
+    return vm.name.endsWith(`-${username}`);
+  });
+  const owned = [];
+  for (const vm of candidates) {
+    if (isVMOwner(parseMetadata(await pve.getVMConfig(vm.vmid)), username)) owned.push(vm.vmid);
+  }
+  return owned;
+}
+
+// Get a template's metadata (empty object if it has none)
+async function getTemplateMetadata(vmName) {
   try {
-    const output = await execSSH(`qm list | grep "${username}" || true`);
-    
-    if (!output.trim()) return [];
-    
-    return output.split('\n')
-      .filter(line => line.trim())
-      .map(line => {
-        const match = line.match(/^\s*(\d+)/);
-        return match ? parseInt(match[1]) : null;
-      })
-      .filter(id => id !== null);
-  } catch {
-    return [];
+    const templates = await backend().listTemplates();
+    return templates.find((t) => t.id === vmName) || {};
+  } catch (e) {
+    console.error('Error listing templates:', e.message);
+    return {};
   }
 }
 
-// Deploy VM for user
-export async function deployVM({ vmName, username, memory = 2048, cores = 2 }) {
-  const SESSION_TIMEOUT = 2 * 60 * 60 * 1000; // 2 hours
+// Get session length and maximum session length (ms) for a template
+export async function getSessionLimits(vmName, template) {
+  template = template || (await getTemplateMetadata(vmName));
+  const timeout = parseInt(template.sessionTimeoutMinutes, 10) || VM_SESSION_TIMEOUT_MINUTES;
+  const max = Math.max(timeout, parseInt(template.maxSessionMinutes, 10) || VM_MAX_SESSION_MINUTES);
+  return { sessionTimeout: timeout * 60 * 1000, maxSession: max * 60 * 1000 };
+}
+
+// Deploy VM for user; onProgress(state, detail) is called as it moves through
+// creating -> importing -> starting -> waiting-for-ip. Memory and cores default to
+// the template's defaultMemory / defaultCores.
+export async function deployVM({ vmName, username, memory, cores, purpose = 'lab', onProgress }) {
+  const userid = `${username}@${getRealm()}`;
+  const params = { vmName, memory, cores, purpose };
+  return audited('vm.deploy', { userid, params }, () =>
+    runDeployment({ vmName, username, memory, cores, purpose, onProgress })
+  );
+}
+
+// Throw NotFoundError unless the template (its template VM, or the qcow2 to import)
+// exists, and ConflictError when it is retired. Resolves with its metadata.
+async function assertTemplateDeployable(vmName) {
+  const pve = backend();
+  const template = await getTemplateMetadata(vmName);
+  if (template.templateVmid) {
+    let config;
+    try {
+      config = await pve.getVMConfig(template.templateVmid);
+    } catch {}
+    if (!config?.template) {
+      throw new NotFoundError(`Template VM ${template.templateVmid} for ${vmName} not found`);
+    }
+  } else if (!(await pve.templateExists(vmName))) {
+    throw new NotFoundError(`Template ${vmName} not found. Has it been converted?`);
+  }
+
+  if (template.retired) {
+    throw new ConflictError(`Template ${vmName} has been retired`);
+  }
+  return template;
+}
+
+async function runDeployment({ vmName, username, memory, cores, purpose, onProgress }) {
+  const progress = (state, detail = {}) => {
+    try {
+      onProgress?.(state, detail);
+    } catch {}
+  };
+  assertTemplateName(vmName);
+  assertUsername(username);
   
   console.log(`[DEPLOY] Starting deployment: ${vmName} for ${username}`);
   
-  // Check if template exists
-  const diskPath = `/var/lib/vz/template/qemu/${vmName}-disk0.qcow2`;
+  const template = await assertTemplateDeployable(vmName);
+  memory = assertPositiveInt(memory ?? template.defaultMemory ?? 2048, 'memory');
+  cores = assertPositiveInt(cores ?? template.defaultCores ?? 2, 'cores');
+
+  const userid = `${username}@${getRealm()}`;
+  const { limits } = await resolveQuota(userid);
+  let { sessionTimeout, maxSession } = await getSessionLimits(vmName, template);
+  if (limits.maxSessionMinutes !== undefined) {
+    maxSession = Math.min(maxSession, limits.maxSessionMinutes * 60 * 1000);
+    sessionTimeout = Math.min(sessionTimeout, maxSession);
+  }
+
+  const reservation = await reserveQuota(userid, limits, { memory, cores }, () => getUserResourceUsage(username));
+  const trackedProgress = (state, detail = {}) => {
+    if (detail.vmid) reservation.setVmid(detail.vmid);
+    progress(state, detail);
+  };
   try {
-    await execSSH(`test -f "${diskPath}"`);
-  } catch {
-    throw new Error(`Template ${vmName} not found. Has it been converted?`);
+    return await provisionVM({
+      vmName,
+      username,
+      memory,
+      cores,
+      purpose,
+      template,
+      sessionTimeout,
+      maxSession,
+      progress: trackedProgress,
+    });
+  } finally {
+    reservation.release();
   }
-  
-  // Generate unique VMID
-  let vmid = 2000 + Math.floor(Math.random() * 8000);
-  let attempts = 0;
-  
-  while (attempts < 100) {
-    try {
-      await execSSH(`qm status ${vmid} 2>/dev/null`);
-      vmid++;
-      attempts++;
-    } catch {
-      break; // VMID is available
-    }
+}
+
+// Create, configure and start the VM for a deployment that passed its checks
+async function provisionVM({ vmName, username, memory, cores, purpose, template, sessionTimeout, maxSession, progress }) {
+  const pve = backend();
+
+  // VMs of cohort members go into the cohort's pool so the group's ACL applies
+  let pool;
+  try {
+    pool = (await getUserCohortPool(`${username}@${getRealm()}`)) || undefined;
+  } catch (e) {
+    console.warn(`[DEPLOY] Could not look up cohort pool: ${e.message}`);
   }
+
+  // Reserve a VMID until qm create has claimed it
+  const { vmid, release } = await allocateVmid(purpose);
   
   const vmDisplayName = `${vmName}-${username}`;
+  const owner = `${username}@${getRealm()}`;
+  // Record the owner right away, so a half-finished deployment is still attributed
+  const identity = {
+    tags: ownerTags(username),
+    description: JSON.stringify({ owner, username, vmName }),
+    // Templates with qemu-guest-agent installed report their IPs through it
+    agent: template.guestAgent ? 'enabled=1' : undefined,
+  };
+  let created = false;
+  let deployMode = 'import';
   
   try {
-    console.log(`[DEPLOY] Creating VM ${vmid}...`);
-    
-    // Create VM
-    await execSSH(
-      `qm create ${vmid} --name "${vmDisplayName}" --memory ${memory} --cores ${cores} --net0 virtio,bridge=vmbr1`
-    );
-    
-    // Import disk
-    console.log(`[DEPLOY] Importing disk...`);
-    await execSSH(`qm importdisk ${vmid} "${diskPath}" local-lvm`);
-    
-    // Configure boot
-    console.log(`[DEPLOY] Configuring VM...`);
-    await execSSH(`qm set ${vmid} --scsihw virtio-scsi-pci --scsi0 local-lvm:vm-${vmid}-disk-0`);
-    await execSSH(`qm set ${vmid} --boot order=scsi0`);
-    await execSSH(`qm set ${vmid} --vga std`);
+    if (template.templateVmid) {
+      console.log(`[DEPLOY] Cloning template VM ${template.templateVmid} to ${vmid}...`);
+      progress('cloning', { vmid });
+      // PVE removes the target of a failed clone itself, and the VMID may belong to
+      // someone else if the clone failed because it was taken, so only own it once cloned
+      deployMode = await cloneTemplateVM(template.templateVmid, vmid, { name: vmDisplayName, pool });
+      created = true;
+      release();
+
+      console.log(`[DEPLOY] Configuring VM...`);
+      progress('starting', { vmid });
+      await pve.setVMOptions(vmid, { memory, cores, ...identity });
+    } else {
+      console.log(`[DEPLOY] Creating VM ${vmid}...`);
+      progress('creating', { vmid });
+      
+      // Create VM
+      await pve.createVM(vmid, {
+        name: vmDisplayName,
+        memory,
+        cores,
+        net0: 'virtio,bridge=vmbr1',
+        pool,
+        ...identity,
+      });
+      created = true;
+      release();
+      
+      // Import disk
+      console.log(`[DEPLOY] Importing disk...`);
+      progress('importing', { vmid });
+      await pve.attachTemplateDisk(vmid, vmName, VM_STORAGE);
+      
+      // Configure boot
+      console.log(`[DEPLOY] Configuring VM...`);
+      progress('starting', { vmid });
+      await pve.setVMOptions(vmid, { boot: 'order=scsi0', vga: 'std' });
+    }
     
     // Add metadata
+    const deployedAt = Date.now();
     const metadata = {
+      owner,
       username,
       vmName,
-      deployedAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + SESSION_TIMEOUT).toISOString(),
+      deployMode,
+      deployedAt: new Date(deployedAt).toISOString(),
+      expiresAt: new Date(deployedAt + sessionTimeout).toISOString(),
+      maxExpiresAt: new Date(deployedAt + maxSession).toISOString(),
     };
-    await execSSH(`qm set ${vmid} --description '${JSON.stringify(metadata).replace(/'/g, "\\'")}'`);
+    await pve.setVMOptions(vmid, { description: JSON.stringify(metadata) });
+
+    // The owner's PVE permissions cover this VM only; the cohort pool ACL is read-only,
+    // so classmates cannot stop or open the console of each other's VMs
+    await pve.setAcl(`/vms/${vmid}`, { users: owner, roles: VM_OWNER_ROLE });
     
     // Start VM
     console.log(`[DEPLOY] Starting VM...`);
-    await execSSH(`qm start ${vmid}`);
+    await pve.startVM(vmid);
     
     // Wait for IP address (try for 60 seconds)
     console.log(`[DEPLOY] Waiting for IP address...`);
+    progress('waiting-for-ip', { vmid });
     let ipAddress = null;
+    let network = { source: null, interfaces: [] };
     
     for (let i = 0; i < 12; i++) {
       await new Promise(resolve => setTimeout(resolve, 5000));
       
       try {
-        // Try multiple methods to get IP
-        const configOutput = await execSSH(`qm config ${vmid}`);
-        const macMatch = configOutput.match(/virtio=([0-9A-Fa-f:]+)/);
-        
-        if (macMatch) {
-          const mac = macMatch[1];
-          const arpOutput = await execSSH(`arp -n | grep -i "${mac}" || true`);
-          const ipMatch = arpOutput.match(/(\d+\.\d+\.\d+\.\d+)/);
-          
-          if (ipMatch) {
-            ipAddress = ipMatch[1];
-            break;
-          }
-        }
+        network = await getVMNetwork(vmid);
+        ipAddress = primaryAddress(network.interfaces);
+        if (ipAddress) break;
       } catch (e) {
         // Continue trying
       }
     }
     
+    // Snapshot the freshly booted VM so the student can reset to it later. Storage
+    // without snapshot support only costs the reset option, not the deployment.
+    progress('snapshotting', { vmid });
+    let pristineSnapshot = true;
+    try {
+      await pve.createSnapshot(vmid, PRISTINE_SNAPSHOT, { description: 'State right after deployment' });
+    } catch (e) {
+      pristineSnapshot = false;
+      console.warn(`[DEPLOY] Could not snapshot VM ${vmid}: ${e.message}`);
+    }
+    
     console.log(`[DEPLOY] VM ${vmid} deployed successfully`);
     
     return {
       vmid,
       name: vmDisplayName,
-      ipAddress: ipAddress || 'Waiting for network... Check Proxmox console',
+      ipAddress: ipAddress || 'Waiting for network... Open the console',
+      consoleUrl: `/vm-console?vmid=${vmid}`,
+      interfaces: network.interfaces,
       startTime: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + SESSION_TIMEOUT).toISOString(),
+      expiresAt: metadata.expiresAt,
+      deployMode,
+      pristineSnapshot,
     };
     
   } catch (error) {
     // Cleanup on failure
     console.error(`[DEPLOY] Error: ${error.message}`);
-    try {
-      await execSSH(`qm destroy ${vmid} --purge 2>/dev/null || true`);
-    } catch {}
+    release();
+    // Only clean up a VM we created ourselves
+    if (created) {
+      try {
+        await pve.destroyVM(vmid);
+      } catch {}
+    }
     throw error;
   }
 }
 
+// Linked clone of a template VM, or a full clone onto VM_STORAGE when the template's
+// storage cannot do linked clones. Resolves with the deploy mode that was used. A failed
+// clone is cleaned up by PVE, so nothing is destroyed here.
+async function cloneTemplateVM(templateVmid, vmid, { name, pool }) {
+  const pve = backend();
+  try {
+    await pve.cloneVM(templateVmid, vmid, { name, pool });
+    return 'linked-clone';
+  } catch (e) {
+    console.warn(`[DEPLOY] Linked clone of ${templateVmid} failed (${e.message}), making a full clone`);
+    await pve.cloneVM(templateVmid, vmid, { name, pool, full: true, storage: VM_STORAGE });
+    return 'full-clone';
+  }
+}
+
+// Archive a VM before it is destroyed: "config" returns its configuration,
+// "disk" additionally writes a vzdump backup to the archive storage
+export async function archiveVM(vmid, mode = 'config') {
+  vmid = assertVmid(vmid);
+  const pve = backend();
+  return audited('vm.archive', { vmid, params: { mode } }, async () => {
+    const config = await pve.getVMConfig(vmid);
+    if (mode === 'disk') {
+      await pve.backupVM(vmid, ARCHIVE_STORAGE);
+      return { vmid, config, backupStorage: ARCHIVE_STORAGE };
+    }
+    return { vmid, config };
+  });
+}
+
 // Stop and destroy VM
 export async function stopVM(vmid, username) {
+  vmid = assertVmid(vmid);
+  assertUsername(username);
+  return audited('vm.destroy', { vmid, userid: `${username}@${getRealm()}` }, () => destroyUserVM(vmid, username));
+}
+
+async function destroyUserVM(vmid, username) {
+  const pve = backend();
   console.log(`[STOP] Stopping VM ${vmid} for ${username}`);
   
   // Verify VM belongs to user
   try {
-    const config = await execSSH(`qm config ${vmid}`);
-    if (!config.includes(username)) {
-      throw new Error('VM does not belong to you');
+    const config = await pve.getVMConfig(vmid);
+    if (!isVMOwner(parseMetadata(config), username)) {
+      throw new ForbiddenError('VM does not belong to you');
     }
   } catch (e) {
     if (e.message.includes('does not exist')) {
@@ -308,53 +621,338 @@ export async function stopVM(vmid, username) {
   
   // Stop VM
   try {
-    await execSSH(`qm stop ${vmid} 2>/dev/null || true`);
+    await pve.haltVM(vmid);
   } catch {}
   
   // Wait for shutdown
   await new Promise(resolve => setTimeout(resolve, 3000));
   
   // Destroy VM
-  await execSSH(`qm destroy ${vmid} --purge`);
+  await pve.destroyVM(vmid);
   
   console.log(`[STOP] VM ${vmid} destroyed`);
   
   return { vmid, message: 'VM stopped and removed' };
 }
 
+// Get every interface of a VM with its IPv4 and IPv6 addresses.
+// Tries the guest agent first, then DHCP leases and ARP (SSH backend only).
+export async function getVMNetwork(vmid, config) {
+  vmid = assertVmid(vmid);
+  const pve = backend();
+  return pve.getVMInterfaces(vmid, config || (await pve.getVMConfig(vmid)));
+}
+
 // Get VM status
 export async function getVMStatus(vmid) {
+  vmid = assertVmid(vmid);
+  const pve = backend();
   try {
-    const statusOutput = await execSSH(`qm status ${vmid}`);
-    const configOutput = await execSSH(`qm config ${vmid}`);
+    const status = await pve.getVMRunState(vmid);
+    const config = await pve.getVMConfig(vmid);
     
     // Parse description for metadata
-    const descMatch = configOutput.match(/description: (.+)/);
-    let metadata = {};
-    if (descMatch) {
-      try {
-        metadata = JSON.parse(descMatch[1]);
-      } catch {}
-    }
+    const metadata = parseMetadata(config);
     
-    // Get IP if possible
-    let ipAddress = null;
+    // Get IPs if possible
+    let network = { source: null, interfaces: [] };
     try {
-      const macMatch = configOutput.match(/virtio=([0-9A-Fa-f:]+)/);
-      if (macMatch) {
-        const arpOutput = await execSSH(`arp -n | grep -i "${macMatch[1]}" || true`);
-        const ipMatch = arpOutput.match(/(\d+\.\d+\.\d+\.\d+)/);
-        if (ipMatch) ipAddress = ipMatch[1];
-      }
+      network = await getVMNetwork(vmid, config);
     } catch {}
     
     return {
       vmid,
-      status: statusOutput.includes('running') ? 'running' : 'stopped',
-      ipAddress: ipAddress || 'Unknown',
+      status,
+      ipAddress: primaryAddress(network.interfaces) || 'Unknown',
+      ipSource: network.source,
+      interfaces: network.interfaces,
       ...metadata,
     };
   } catch (e) {
-    throw new Error(`VM ${vmid} not found`);
+    throw new NotFoundError(`VM ${vmid} not found`);
+  }
+}
+
+// Get a VM's status, only if it was deployed for this user
+export async function getUserVM(vmid, username) {
+  const status = await getVMStatus(vmid);
+  if (!isVMOwner(status, username)) {
+    throw new ForbiddenError('VM does not belong to you');
+  }
+  return status;
+}
+
+// List the VMs deployed for a user, with their status
+export async function listUserVMs(username) {
+  const vmids = await checkUserActiveVMs(username);
+  const vms = [];
+  for (const vmid of vmids) {
+    try {
+      const status = await getVMStatus(vmid);
+      if (isVMOwner(status, username)) vms.push(status);
+    } catch {}
+  }
+  return vms;
+}
+
+// VMs, memory (MB) and cores a user's deployed VMs take up
+export async function getUserResourceUsage(username) {
+  const pve = backend();
+  const usage = { vms: 0, memoryMB: 0, cores: 0, vmids: [] };
+  for (const vmid of await checkUserActiveVMs(username)) {
+    try {
+      const config = await pve.getVMConfig(vmid);
+      if (!isVMOwner(parseMetadata(config), username)) continue;
+      usage.vms += 1;
+      // Proxmox defaults when the config leaves them out
+      usage.memoryMB += parseInt(config.memory, 10) || 512;
+      usage.cores += (parseInt(config.cores, 10) || 1) * (parseInt(config.sockets, 10) || 1);
+      usage.vmids.push(vmid);
+    } catch {}
+  }
+  return usage;
+}
+
+// A user's quota limits and current usage (including deployments in progress)
+export async function getUserQuota(username) {
+  assertUsername(username);
+  const userid = `${username}@${getRealm()}`;
+  const [quota, usage] = await Promise.all([resolveQuota(userid), getUserResourceUsage(username)]);
+  return { userid, ...quota, usage: withInFlight(userid, usage) };
+}
+
+// Fail fast before queueing a deployment of a missing or retired template, or one that
+// would go over the quota. deployVM checks again, since both can change while the job waits.
+export async function checkDeployRequest({ vmName, username, memory, cores }) {
+  const template = await assertTemplateDeployable(vmName);
+  memory = assertPositiveInt(memory ?? template.defaultMemory ?? 2048, 'memory');
+  cores = assertPositiveInt(cores ?? template.defaultCores ?? 2, 'cores');
+  const { limits, usage } = await getUserQuota(username);
+  checkQuota(limits, usage, { memory, cores });
+}
+
+// Parse the JSON metadata deployVM stores in the VM description
+function parseMetadata(config) {
+  if (!config.description) return {};
+  try {
+    return JSON.parse(config.description);
+  } catch {
+    return {};
+  }
+}
+
+// Merge fields into the VM's description metadata (undefined removes a field)
+export async function updateVMMetadata(vmid, patch) {
+  vmid = assertVmid(vmid);
+  const pve = backend();
+  const metadata = { ...parseMetadata(await pve.getVMConfig(vmid)), ...patch };
+  for (const key of Object.keys(metadata)) {
+    if (metadata[key] === undefined) delete metadata[key];
+  }
+  await pve.setVMOptions(vmid, { description: JSON.stringify(metadata) });
+  return metadata;
+}
+
+// List every VM that deployVM created, with its session metadata
+export async function listDeployedVMs() {
+  const pve = backend();
+  const vms = await pve.listVMs();
+  const deployed = [];
+  for (const vm of vms) {
+    // The reaper calls this every minute: only read the config, the IP lookups
+    // (guest agent, leases, ARP) stay with the per-VM status routes
+    try {
+      const metadata = parseMetadata(await pve.getVMConfig(vm.vmid));
+      if (metadata.username && metadata.expiresAt) {
+        deployed.push({ vmid: vm.vmid, name: vm.name, status: vm.status, ...metadata });
+      }
+    } catch {}
   }
-}
\ No newline at end of file
+  return deployed;
+}
+
+// Every VM on the node with its owner, template and expiry from the description.
+// owner is null for VMs the portal did not deploy.
+export async function listVMOwners() {
+  const pve = backend();
+  const vms = await pve.listVMs();
+  const out = [];
+  for (const vm of vms) {
+    let metadata = {};
+    try {
+      metadata = parseMetadata(await pve.getVMConfig(vm.vmid));
+    } catch {}
+    out.push({
+      vmid: vm.vmid,
+      name: vm.name,
+      status: vm.status,
+      tags: parseTags(vm.tags),
+      owner: vmOwner(metadata),
+      template: metadata.vmName || null,
+      deployedAt: metadata.deployedAt || null,
+      expiresAt: metadata.expiresAt || null,
+    });
+  }
+  return out;
+}
+
+// Extend a VM session by some minutes, capped at its maximum session length.
+// Pass username to only allow the VM's owner.
+export async function extendVMSession(vmid, { minutes, username } = {}) {
+  vmid = assertVmid(vmid);
+  minutes = assertPositiveInt(minutes, 'minutes');
+  const userid = username ? `${username}@${getRealm()}` : undefined;
+  return audited('vm.extend', { vmid, userid, params: { minutes } }, () =>
+    extendSession(vmid, { minutes, username })
+  );
+}
+
+async function extendSession(vmid, { minutes, username }) {
+  const status = await getVMStatus(vmid);
+
+  if (!status.expiresAt) {
+    throw new ConflictError(`VM ${vmid} has no session to extend`);
+  }
+  if (username && !isVMOwner(status, username)) {
+    throw new ForbiddenError('VM does not belong to you');
+  }
+
+  const currentExpiry = Date.parse(status.expiresAt);
+  // VMs deployed before maxExpiresAt existed fall back to the global maximum
+  const maxExpiry = status.maxExpiresAt
+    ? Date.parse(status.maxExpiresAt)
+    : Date.parse(status.deployedAt) + VM_MAX_SESSION_MINUTES * 60 * 1000;
+  const nextExpiry = Math.min(Math.max(Date.now(), currentExpiry) + minutes * 60 * 1000, maxExpiry);
+
+  if (nextExpiry <= currentExpiry) {
+    throw new ConflictError('Session is already at its maximum length');
+  }
+
+  const expiresAt = new Date(nextExpiry).toISOString();
+  await updateVMMetadata(vmid, { expiresAt, warnedAt: undefined });
+  console.log(`[EXTEND] VM ${vmid} extended until ${expiresAt}`);
+
+  return { vmid, expiresAt, maxExpiresAt: new Date(maxExpiry).toISOString() };
+}
+
+// ==========================================
+// SNAPSHOTS
+// ==========================================
+
+// Description metadata of a deployed VM. Pass username to only allow the VM's owner.
+export async function getDeployedVMMetadata(vmid, username) {
+  let config;
+  try {
+    config = await backend().getVMConfig(vmid);
+  } catch {
+    throw new NotFoundError(`VM ${vmid} not found`);
+  }
+  const metadata = parseMetadata(config);
+  if (username ? !isVMOwner(metadata, username) : !vmOwner(metadata)) {
+    throw new ForbiddenError('VM does not belong to you');
+  }
+  return metadata;
+}
+
+function toSnapshot(snap) {
+  return {
+    name: snap.name,
+    description: snap.description || '',
+    createdAt: snap.snaptime ? new Date(snap.snaptime * 1000).toISOString() : null,
+    parent: snap.parent || null,
+    pristine: snap.name === PRISTINE_SNAPSHOT,
+  };
+}
+
+// Snapshots of a VM, oldest first. Pass username to only allow the VM's owner.
+export async function listVMSnapshots(vmid, { username } = {}) {
+  vmid = assertVmid(vmid);
+  await getDeployedVMMetadata(vmid, username);
+  const snapshots = await backend().listSnapshots(vmid);
+  return snapshots.map(toSnapshot).sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+// Snapshots a user has taken over all their VMs; the pristine snapshots do not count
+async function countUserSnapshots(username) {
+  const pve = backend();
+  let count = 0;
+  for (const vmid of await checkUserActiveVMs(username)) {
+    try {
+      count += (await pve.listSnapshots(vmid)).filter((s) => s.name !== PRISTINE_SNAPSHOT).length;
+    } catch {}
+  }
+  return count;
+}
+
+// Take a disk snapshot, within the VM owner's maxSnapshots quota
+export async function createVMSnapshot(vmid, { name, description, username } = {}) {
+  vmid = assertVmid(vmid);
+  assertSnapshotName(name);
+  if (name === PRISTINE_SNAPSHOT) {
+    throw new ConflictError(`"${PRISTINE_SNAPSHOT}" is reserved for the snapshot taken at deployment`);
+  }
+  description = String(description || '').trim().slice(0, 200) || undefined;
+  const metadata = await getDeployedVMMetadata(vmid, username);
+  const owner = vmOwner(metadata);
+
+  return audited('vm.snapshot.create', { vmid, userid: owner, params: { name, description } }, async () => {
+    const pve = backend();
+    if ((await pve.listSnapshots(vmid)).some((s) => s.name === name)) {
+      throw new ConflictError(`VM ${vmid} already has a snapshot named ${name}`);
+    }
+    const { limits } = await resolveQuota(owner);
+    checkSnapshotQuota(limits, await countUserSnapshots(metadata.username));
+    await pve.createSnapshot(vmid, name, { description });
+    return { vmid, snapshot: name };
+  });
+}
+
+// Roll back to a snapshot and start the VM again (disk-only snapshots leave it stopped)
+async function rollback(vmid, name) {
+  const pve = backend();
+  if (!(await pve.listSnapshots(vmid)).some((s) => s.name === name)) {
+    throw new NotFoundError(`Snapshot ${name} not found on VM ${vmid}`);
+  }
+  await pve.rollbackSnapshot(vmid, name);
+  if ((await pve.getVMRunState(vmid)) !== 'running') await pve.startVM(vmid);
+  console.log(`[SNAPSHOT] VM ${vmid} rolled back to ${name}`);
+  return { vmid, snapshot: name, status: 'running' };
+}
+
+// Roll a VM back to one of its snapshots. Pass username to only allow the VM's owner.
+export async function rollbackVMSnapshot(vmid, { name, username } = {}) {
+  vmid = assertVmid(vmid);
+  assertSnapshotName(name);
+  const owner = vmOwner(await getDeployedVMMetadata(vmid, username));
+  return audited('vm.snapshot.rollback', { vmid, userid: owner, params: { name } }, () => rollback(vmid, name));
+}
+
+// Reset a VM to the state right after its deployment
+export async function resetVM(vmid, { username } = {}) {
+  vmid = assertVmid(vmid);
+  const owner = vmOwner(await getDeployedVMMetadata(vmid, username));
+  return audited('vm.reset', { vmid, userid: owner }, async () => {
+    if (!(await backend().listSnapshots(vmid)).some((s) => s.name === PRISTINE_SNAPSHOT)) {
+      throw new ConflictError(`VM ${vmid} has no ${PRISTINE_SNAPSHOT} snapshot to reset to`);
+    }
+    return rollback(vmid, PRISTINE_SNAPSHOT);
+  });
+}
+
+// Delete a snapshot. Owners cannot delete the pristine snapshot, since reset needs it.
+export async function deleteVMSnapshot(vmid, { name, username } = {}) {
+  vmid = assertVmid(vmid);
+  assertSnapshotName(name);
+  if (username && name === PRISTINE_SNAPSHOT) {
+    throw new ConflictError(`The ${PRISTINE_SNAPSHOT} snapshot is needed to reset the VM`);
+  }
+  const owner = vmOwner(await getDeployedVMMetadata(vmid, username));
+  return audited('vm.snapshot.delete', { vmid, userid: owner, params: { name } }, async () => {
+    const pve = backend();
+    if (!(await pve.listSnapshots(vmid)).some((s) => s.name === name)) {
+      throw new NotFoundError(`Snapshot ${name} not found on VM ${vmid}`);
+    }
+    await pve.deleteSnapshot(vmid, name);
+    return { vmid, snapshot: name };
+  });
+}
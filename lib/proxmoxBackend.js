@@ -0,0 +1,13 @@
+// lib/proxmoxBackend.js
+// Pick the backend that lib code uses to reach Proxmox
+
+import * as sshBackend from './sshBackend';
+import * as restBackend from './restBackend';
+
+// "ssh" (default) runs pveum/qm on the host, "api" uses the REST API with a token
+const PROXMOX_BACKEND = process.env.PROXMOX_BACKEND || 'ssh';
+
+// Get the configured backend
+export function backend() {
+  return PROXMOX_BACKEND === 'api' ? restBackend : sshBackend;
+}
@@ -0,0 +1,214 @@
+// lib/proxmoxRest.js
+// HTTP client for the Proxmox VE REST API (api2/json)
+
+import https from 'https';
+import http from 'http';
+import crypto from 'crypto';
+import { createReadStream, promises as fs } from 'fs';
+
+const PROXMOX_HOST = process.env.PROXMOX_HOST || '192.168.205.30';
+const PROXMOX_API_URL = process.env.PROXMOX_API_URL || `https://${PROXMOX_HOST}:8006`;
+const PROXMOX_API_TOKEN_ID = process.env.PROXMOX_API_TOKEN_ID; // e.g. webapp@pve!portal
+const PROXMOX_API_TOKEN_SECRET = process.env.PROXMOX_API_TOKEN_SECRET;
+const PROXMOX_NODE = process.env.PROXMOX_NODE || 'pve';
+// Set to "1" when the node still uses its self-signed certificate
+const PROXMOX_API_INSECURE = process.env.PROXMOX_API_INSECURE === '1';
+
+export class ProxmoxApiError extends Error {
+  constructor(message, status, errors) {
+    super(message);
+    this.name = 'ProxmoxApiError';
+    this.status = status;
+    this.errors = errors || null;
+  }
+}
+
+// Get the node all VM calls are made against
+export function getNode() {
+  return PROXMOX_NODE;
+}
+
+// Encode an object as application/x-www-form-urlencoded, skipping undefined values
+function encodeParams(params = {}) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    search.append(key, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+  }
+  return search.toString();
+}
+
+// Encode a path segment such as a userid or UPID
+export function seg(value) {
+  return encodeURIComponent(String(value));
+}
+
+function tokenHeader() {
+  if (!PROXMOX_API_TOKEN_ID || !PROXMOX_API_TOKEN_SECRET) {
+    throw new ProxmoxApiError('PROXMOX_API_TOKEN_ID and PROXMOX_API_TOKEN_SECRET must be set', 0);
+  }
+  return `PVEAPIToken=${PROXMOX_API_TOKEN_ID}=${PROXMOX_API_TOKEN_SECRET}`;
+}
+
+// Collect a response and settle with its "data" member, or a ProxmoxApiError
+function handleResponse(res, resolve, reject) {
+  let raw = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => {
+    raw += chunk;
+  });
+  res.on('end', () => {
+    let parsed = null;
+    try {
+      parsed = raw ? JSON.parse(raw) : null;
+    } catch {}
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      // PVE puts the actual error text in the HTTP reason phrase
+      const detail = parsed?.errors
+        ? Object.entries(parsed.errors).map(([k, v]) => `${k}: ${v}`).join('; ')
+        : '';
+      const message = [res.statusMessage, detail].filter(Boolean).join(' - ');
+      return reject(new ProxmoxApiError(message || `HTTP ${res.statusCode}`, res.statusCode, parsed?.errors));
+    }
+
+    resolve(parsed ? parsed.data : null);
+  });
+}
+
+// Perform a request and resolve with the "data" member of the response.
+// Pass { auth: false } for endpoints that must not carry the API token (e.g. /access/ticket).
+export function pveRequest(method, path, params, { auth = true } = {}) {
+  const url = new URL(`/api2/json${path}`, PROXMOX_API_URL);
+  const body = encodeParams(params);
+  const headers = { Accept: 'application/json' };
+
+  if (auth) {
+    try {
+      headers.Authorization = tokenHeader();
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+
+  if (method === 'GET' || method === 'DELETE') {
+    if (body) url.search = body;
+  } else {
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    headers['Content-Length'] = Buffer.byteLength(body);
+  }
+
+  const transport = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      url,
+      {
+        method,
+        headers,
+        rejectUnauthorized: !PROXMOX_API_INSECURE,
+        timeout: 30000,
+      },
+      (res) => handleResponse(res, resolve, reject)
+    );
+
+    req.on('timeout', () => {
+      req.destroy(new ProxmoxApiError(`Request timed out: ${method} ${path}`, 0));
+    });
+    req.on('error', reject);
+
+    if (method !== 'GET' && method !== 'DELETE') req.write(body);
+    req.end();
+  });
+}
+
+// URL and connection options for a WebSocket endpoint such as .../vncwebsocket
+export function pveWebSocketTarget(path, params) {
+  const url = new URL(`/api2/json${path}`, PROXMOX_API_URL);
+  url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:';
+  url.search = encodeParams(params);
+  return {
+    url: url.toString(),
+    options: { headers: { Authorization: tokenHeader() }, rejectUnauthorized: !PROXMOX_API_INSECURE },
+  };
+}
+
+// Request a login ticket for a user; resolves null when the credentials are rejected.
+// Works in both backends since it needs no API token.
+export async function requestTicket(userid, password) {
+  try {
+    return await pveRequest('POST', '/access/ticket', { username: userid, password }, { auth: false });
+  } catch (e) {
+    if (e instanceof ProxmoxApiError && e.status === 401) return null;
+    throw e;
+  }
+}
+
+// Upload a local file as multipart/form-data (e.g. to /nodes/{node}/storage/{storage}/upload).
+// The file is streamed; onProgress(percent) follows the bytes sent. Resolves with "data" (a UPID).
+export async function pveUpload(path, fields, { localFile, filename }, { onProgress } = {}) {
+  const url = new URL(`/api2/json${path}`, PROXMOX_API_URL);
+  const boundary = `----narrekappe${crypto.randomBytes(12).toString('hex')}`;
+  const { size } = await fs.stat(localFile);
+
+  const head = Buffer.from(
+    Object.entries(fields)
+      .map(([key, value]) => `--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`)
+      .join('') +
+      `--${boundary}\r\nContent-Disposition: form-data; name="filename"; filename="${filename}"\r\n` +
+      'Content-Type: application/octet-stream\r\n\r\n'
+  );
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const transport = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          Authorization: tokenHeader(),
+          'Content-Type': `multipart/form-data; boundary=${boundary}`,
+          'Content-Length': head.length + size + tail.length,
+        },
+        rejectUnauthorized: !PROXMOX_API_INSECURE,
+      },
+      (res) => handleResponse(res, resolve, reject)
+    );
+    req.on('error', reject);
+
+    req.write(head);
+    let sent = 0;
+    const stream = createReadStream(localFile);
+    stream.on('data', (chunk) => {
+      sent += chunk.length;
+      onProgress?.(size ? Math.floor((sent / size) * 100) : null);
+    });
+    stream.on('error', (e) => req.destroy(e));
+    stream.on('end', () => req.end(tail));
+    stream.pipe(req, { end: false });
+  });
+}
+
+// Wait for a task (UPID) to finish; rejects if it did not exit with OK
+export async function waitForTask(upid, { timeout = 10 * 60 * 1000, interval = 1000 } = {}) {
+  if (!upid || typeof upid !== 'string' || !upid.startsWith('UPID:')) return null;
+
+  // The UPID carries the node that runs the task
+  const node = upid.split(':')[1] || PROXMOX_NODE;
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    const status = await pveRequest('GET', `/nodes/${seg(node)}/tasks/${seg(upid)}/status`);
+    if (status?.status === 'stopped') {
+      if (status.exitstatus !== 'OK') {
+        throw new ProxmoxApiError(`Task failed: ${status.exitstatus}`, 500);
+      }
+      return status;
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+
+  throw new ProxmoxApiError(`Task timed out: ${upid}`, 0);
+}
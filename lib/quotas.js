@@ -0,0 +1,140 @@
+// lib/quotas.js
+// Resource quotas per role and per group, checked when a VM is deployed
+
+import { readJson, writeJson } from './jsonStore';
+import { QuotaExceededError } from './errors';
+import { CommandArgumentError, assertGroupid, assertPositiveInt } from './shellCommand';
+import { ROLES, getUserGroups, resolveRole } from './roles';
+import { audited } from './audit';
+
+const QUOTA_FILE = process.env.QUOTA_FILE || 'quotas.json';
+
+// A missing field means no limit
+export const QUOTA_FIELDS = ['maxVMs', 'maxMemoryMB', 'maxCores', 'maxSessionMinutes', 'maxSnapshots'];
+
+// Used for roles that quotas.json does not configure
+const DEFAULT_ROLE_QUOTAS = {
+  [ROLES.STUDENT]: { maxVMs: 2, maxMemoryMB: 8192, maxCores: 4, maxSnapshots: 5 },
+  [ROLES.TEACHER]: { maxVMs: 4, maxMemoryMB: 16384, maxCores: 8, maxSnapshots: 10 },
+  [ROLES.ADMIN]: {},
+};
+
+// Deployments that passed the check but whose VM may not show up in the usage yet
+const inFlight = (globalThis.__quotaInFlight ||= new Map());
+// Per-user promise chain so two deployments never check the quota at the same time
+const locks = (globalThis.__quotaLocks ||= new Map());
+
+function normalizeLimits(limits, label) {
+  if (!limits || typeof limits !== 'object') throw new CommandArgumentError(`Invalid quota for ${label}`);
+  const out = {};
+  for (const field of QUOTA_FIELDS) {
+    const value = limits[field];
+    if (value === undefined || value === null || value === '') continue;
+    const zeroAllowed = field === 'maxVMs' || field === 'maxSnapshots';
+    out[field] = zeroAllowed && Number(value) === 0 ? 0 : assertPositiveInt(value, `${label} ${field}`);
+  }
+  return out;
+}
+
+// { roles: { student: {...} }, groups: { <groupid>: {...} } }, with the defaults filled in
+export async function getQuotaConfig() {
+  const config = await readJson(QUOTA_FILE, {});
+  return {
+    roles: { ...DEFAULT_ROLE_QUOTAS, ...(config.roles || {}) },
+    groups: config.groups || {},
+  };
+}
+
+// Replace the quota configuration
+export async function saveQuotaConfig({ roles = {}, groups = {} } = {}) {
+  const config = { roles: {}, groups: {} };
+  for (const [role, limits] of Object.entries(roles)) {
+    if (!Object.values(ROLES).includes(role)) throw new CommandArgumentError(`Unknown role: ${role}`);
+    config.roles[role] = normalizeLimits(limits, role);
+  }
+  for (const [groupid, limits] of Object.entries(groups)) {
+    assertGroupid(groupid);
+    config.groups[groupid] = normalizeLimits(limits, groupid);
+  }
+  return audited('quota.update', { params: config }, async () => {
+    await writeJson(QUOTA_FILE, config);
+    return getQuotaConfig();
+  });
+}
+
+// Limits that apply to a user: the role's quota, with every field a group quota sets
+// replacing it. A user in several groups with quotas gets the most generous value.
+export async function resolveQuota(userid) {
+  const [config, role, groups] = await Promise.all([getQuotaConfig(), resolveRole(userid), getUserGroups(userid)]);
+  const limits = { ...(config.roles[role] || {}) };
+  const groupLimits = groups.filter((g) => config.groups[g]).map((g) => config.groups[g]);
+  for (const field of QUOTA_FIELDS) {
+    const values = groupLimits.map((l) => l[field]).filter((v) => v !== undefined);
+    if (values.length > 0) limits[field] = Math.max(...values);
+  }
+  return { role, groups: groups.filter((g) => config.groups[g]), limits };
+}
+
+// Usage including deployments that are still in progress. A reservation whose VM
+// already shows up in usage.vmids is not counted twice.
+export function withInFlight(userid, usage) {
+  const pending = (inFlight.get(userid) || []).filter((r) => !(usage.vmids || []).includes(r.vmid));
+  return pending.reduce(
+    (total, r) => ({ ...total, vms: total.vms + 1, memoryMB: total.memoryMB + r.memory, cores: total.cores + r.cores }),
+    usage
+  );
+}
+
+// Throw QuotaExceededError if usage ({ vms, memoryMB, cores }) plus the new VM goes over the limits
+export function checkQuota(limits, usage, { memory, cores }) {
+  const problems = [];
+  if (limits.maxVMs !== undefined && usage.vms + 1 > limits.maxVMs) {
+    problems.push(`${usage.vms} of ${limits.maxVMs} VMs in use`);
+  }
+  if (limits.maxMemoryMB !== undefined && usage.memoryMB + memory > limits.maxMemoryMB) {
+    problems.push(`${memory} MB requested, ${Math.max(limits.maxMemoryMB - usage.memoryMB, 0)} MB of ${limits.maxMemoryMB} MB left`);
+  }
+  if (limits.maxCores !== undefined && usage.cores + cores > limits.maxCores) {
+    problems.push(`${cores} cores requested, ${Math.max(limits.maxCores - usage.cores, 0)} of ${limits.maxCores} left`);
+  }
+  if (problems.length > 0) throw new QuotaExceededError(problems.join('; '));
+}
+
+// Throw QuotaExceededError if the user cannot take another snapshot
+export function checkSnapshotQuota(limits, snapshots) {
+  if (limits.maxSnapshots !== undefined && snapshots + 1 > limits.maxSnapshots) {
+    throw new QuotaExceededError(`${snapshots} of ${limits.maxSnapshots} snapshots in use`);
+  }
+}
+
+// Check the quota and hold the requested resources until release() is called, so
+// concurrent deployments of one user cannot both pass. getUsage() resolves with the
+// user's current { vms, memoryMB, cores, vmids }; setVmid() links the reservation to
+// the VM once it has an id.
+export function reserveQuota(userid, limits, request, getUsage) {
+  const previous = locks.get(userid) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      checkQuota(limits, withInFlight(userid, await getUsage()), request);
+      const reservation = { memory: request.memory, cores: request.cores, vmid: null };
+      inFlight.set(userid, [...(inFlight.get(userid) || []), reservation]);
+      return {
+        setVmid(vmid) {
+          reservation.vmid = vmid;
+        },
+        release() {
+          const remaining = (inFlight.get(userid) || []).filter((r) => r !== reservation);
+          if (remaining.length > 0) inFlight.set(userid, remaining);
+          else inFlight.delete(userid);
+        },
+      };
+    });
+  locks.set(userid, next);
+  next
+    .finally(() => {
+      if (locks.get(userid) === next) locks.delete(userid);
+    })
+    .catch(() => {});
+  return next;
+}
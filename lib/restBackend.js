@@ -0,0 +1,261 @@
+// lib/restBackend.js
+// Proxmox backend that talks to the REST API with an API token (no SSH)
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getNode, pveRequest, pveUpload, seg, waitForTask } from './proxmoxRest';
+import { CommandArgumentError } from './shellCommand';
+import { parseAgentInterfaces } from './guestNetwork';
+
+// Storage with the "import" content type that holds <name>-disk0.qcow2 files
+const IMPORT_STORAGE = process.env.PROXMOX_IMPORT_STORAGE || 'local';
+// Template metadata lives with the app, since the API cannot read files on the host
+const TEMPLATE_CATALOG =
+  process.env.PROXMOX_TEMPLATE_CATALOG || path.join(process.cwd(), 'data', 'templates.json');
+
+function qemuPath(vmid, suffix = '') {
+  return `/nodes/${seg(getNode())}/qemu/${seg(vmid)}${suffix}`;
+}
+
+// ==========================================
+// USERS
+// ==========================================
+
+export async function listUsers() {
+  return pveRequest('GET', '/access/users');
+}
+
+export async function createUser({ userid, password, comment, email, expire, groups }) {
+  await pveRequest('POST', '/access/users', { userid, password, comment, email, expire, groups });
+}
+
+export async function deleteUser(userid) {
+  await pveRequest('DELETE', `/access/users/${seg(userid)}`);
+}
+
+export async function modifyUser(userid, options) {
+  await pveRequest('PUT', `/access/users/${seg(userid)}`, options);
+}
+
+export async function setUserPassword(userid, password) {
+  await pveRequest('PUT', '/access/password', { userid, password });
+}
+
+// ==========================================
+// GROUPS, POOLS AND PERMISSIONS
+// ==========================================
+
+export async function listGroups() {
+  return (await pveRequest('GET', '/access/groups')) || [];
+}
+
+export async function createGroup(groupid, comment) {
+  await pveRequest('POST', '/access/groups', { groupid, comment });
+}
+
+export async function listPools() {
+  return (await pveRequest('GET', '/pools')) || [];
+}
+
+export async function createPool(poolid, comment) {
+  await pveRequest('POST', '/pools', { poolid, comment });
+}
+
+export async function listRoles() {
+  return (await pveRequest('GET', '/access/roles')) || [];
+}
+
+export async function setAcl(path, options) {
+  await pveRequest('PUT', '/access/acl', { path, ...options });
+}
+
+// ==========================================
+// VMS
+// ==========================================
+
+export async function listVMs() {
+  const vms = await pveRequest('GET', `/nodes/${seg(getNode())}/qemu`);
+  return (vms || [])
+    .filter((vm) => !vm.template)
+    .map((vm) => ({ vmid: Number(vm.vmid), name: vm.name || '', status: vm.status, tags: vm.tags || '' }))
+    .sort((a, b) => a.vmid - b.vmid);
+}
+
+// VMIDs in use anywhere in the cluster (VMs, containers and templates)
+export async function listUsedVmids() {
+  const resources = await pveRequest('GET', '/cluster/resources', { type: 'vm' });
+  return (resources || []).map((r) => Number(r.vmid));
+}
+
+// Next free VMID according to the cluster
+export async function nextVmid() {
+  return Number(await pveRequest('GET', '/cluster/nextid'));
+}
+
+// Ask the cluster whether a VMID is free; throws if it is taken
+export async function checkVmidFree(vmid) {
+  await pveRequest('GET', '/cluster/nextid', { vmid });
+}
+
+export async function getVMConfig(vmid) {
+  return pveRequest('GET', qemuPath(vmid, '/config'));
+}
+
+export async function getVMRunState(vmid) {
+  const current = await pveRequest('GET', qemuPath(vmid, '/status/current'));
+  return current?.status === 'running' ? 'running' : 'stopped';
+}
+
+export async function createVM(vmid, options) {
+  const upid = await pveRequest('POST', `/nodes/${seg(getNode())}/qemu`, { vmid, ...options });
+  await waitForTask(upid);
+}
+
+export async function setVMOptions(vmid, options) {
+  // POST runs asynchronously and returns a task; PUT would block the API worker
+  const upid = await pveRequest('POST', qemuPath(vmid, '/config'), options);
+  await waitForTask(upid);
+}
+
+// Import the template's qcow2 from the import storage and attach it as the boot disk
+export async function attachTemplateDisk(vmid, templateName, storage) {
+  await setVMOptions(vmid, {
+    scsihw: 'virtio-scsi-pci',
+    scsi0: `${storage}:0,import-from=${IMPORT_STORAGE}:import/${templateName}-disk0.qcow2`,
+  });
+}
+
+// Clone a template VM. A linked clone (full: false) shares the template's disks and
+// must stay on the template's storage; storage only applies to full clones.
+export async function cloneVM(templateVmid, vmid, { name, full = false, storage, pool } = {}) {
+  const upid = await pveRequest('POST', qemuPath(templateVmid, '/clone'), {
+    newid: vmid,
+    name,
+    full: full ? 1 : 0,
+    storage: full ? storage : undefined,
+    pool,
+  });
+  await waitForTask(upid);
+}
+
+// Turn a (stopped) VM into a template
+export async function convertToTemplate(vmid) {
+  await waitForTask(await pveRequest('POST', qemuPath(vmid, '/template')));
+}
+
+export async function startVM(vmid) {
+  await waitForTask(await pveRequest('POST', qemuPath(vmid, '/status/start')));
+}
+
+export async function haltVM(vmid) {
+  await waitForTask(await pveRequest('POST', qemuPath(vmid, '/status/stop')));
+}
+
+export async function destroyVM(vmid) {
+  const upid = await pveRequest('DELETE', qemuPath(vmid), {
+    purge: 1,
+    'destroy-unreferenced-disks': 1,
+  });
+  await waitForTask(upid);
+}
+
+// Snapshots of a VM, without PVE's "current" pseudo-entry
+export async function listSnapshots(vmid) {
+  const snapshots = await pveRequest('GET', qemuPath(vmid, '/snapshot'));
+  return (snapshots || []).filter((snap) => snap.name !== 'current');
+}
+
+// Disk-only snapshot (no RAM state)
+export async function createSnapshot(vmid, name, { description } = {}) {
+  await waitForTask(await pveRequest('POST', qemuPath(vmid, '/snapshot'), { snapname: name, description }));
+}
+
+export async function rollbackSnapshot(vmid, name) {
+  await waitForTask(await pveRequest('POST', qemuPath(vmid, `/snapshot/${seg(name)}/rollback`)));
+}
+
+export async function deleteSnapshot(vmid, name) {
+  await waitForTask(await pveRequest('DELETE', qemuPath(vmid, `/snapshot/${seg(name)}`)));
+}
+
+// Back up a VM with vzdump to the given storage
+export async function backupVM(vmid, storage) {
+  const upid = await pveRequest('POST', `/nodes/${seg(getNode())}/vzdump`, {
+    vmid,
+    storage,
+    mode: 'stop',
+    compress: 'zstd',
+  });
+  await waitForTask(upid, { timeout: 60 * 60 * 1000 });
+}
+
+// The API exposes neither DHCP leases nor the host's ARP table, so only the guest agent is asked
+export async function getVMInterfaces(vmid) {
+  try {
+    const data = await pveRequest('GET', qemuPath(vmid, '/agent/network-get-interfaces'));
+    return { source: 'guest-agent', interfaces: parseAgentInterfaces(data?.result || []) };
+  } catch {
+    return { source: null, interfaces: [] };
+  }
+}
+
+// ==========================================
+// TEMPLATES
+// ==========================================
+
+async function listTemplateDisks() {
+  const content = await pveRequest(
+    'GET',
+    `/nodes/${seg(getNode())}/storage/${seg(IMPORT_STORAGE)}/content`,
+    { content: 'import' }
+  );
+  return (content || [])
+    .map((item) => String(item.volid || '').match(/:import\/(.+)-disk0\.qcow2$/))
+    .filter(Boolean)
+    .map((m) => m[1]);
+}
+
+async function readCatalog() {
+  try {
+    return JSON.parse(await fs.readFile(TEMPLATE_CATALOG, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Error reading ${TEMPLATE_CATALOG}:`, e.message);
+    return {};
+  }
+}
+
+export async function templateExists(templateName) {
+  return (await listTemplateDisks()).includes(templateName);
+}
+
+export async function listTemplates() {
+  const [names, catalog] = await Promise.all([listTemplateDisks(), readCatalog()]);
+  return names.sort().map((name) => ({ id: name, name, ...(catalog[name] || {}) }));
+}
+
+export async function writeTemplateMetadata(templateName, metadata) {
+  const catalog = await readCatalog();
+  catalog[templateName] = metadata;
+  await fs.mkdir(path.dirname(TEMPLATE_CATALOG), { recursive: true });
+  const tmp = `${TEMPLATE_CATALOG}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(catalog, null, 2));
+  await fs.rename(tmp, TEMPLATE_CATALOG);
+}
+
+// Upload a qcow2 into the import storage as <name>-disk0.qcow2. Unpacking an OVA or
+// converting a vmdk needs a shell on the host, which this backend does not have.
+export async function importTemplateImage(templateName, { localFile, format, onProgress = () => {} }) {
+  if (format !== 'qcow2') {
+    throw new CommandArgumentError(`${format} uploads need the SSH backend; upload a qcow2 instead`);
+  }
+  onProgress('uploading', { percent: 0 });
+  const upid = await pveUpload(
+    `/nodes/${seg(getNode())}/storage/${seg(IMPORT_STORAGE)}/upload`,
+    { content: 'import' },
+    { localFile, filename: `${templateName}-disk0.qcow2` },
+    { onProgress: (percent) => onProgress('uploading', { percent }) }
+  );
+  // PVE copies the upload from its temp directory into the storage in a task
+  onProgress('converting', { percent: null });
+  await waitForTask(upid, { timeout: 60 * 60 * 1000 });
+}
@@ -0,0 +1,46 @@
+// lib/roles.js
+// Portal roles, taken from Proxmox group membership when a user signs in
+
+import { backend } from './proxmoxBackend';
+
+export const ROLES = {
+  ADMIN: 'admin',
+  TEACHER: 'teacher',
+  STUDENT: 'student',
+};
+
+// Members of these Proxmox groups sign in as admin / teacher; everyone else is a student
+const ADMIN_GROUP = process.env.PORTAL_ADMIN_GROUP || 'portal-admins';
+const TEACHER_GROUP = process.env.PORTAL_TEACHER_GROUP || 'teachers';
+// Comma-separated userids that are always admin (e.g. before the group exists)
+const ADMIN_USERS = (process.env.PORTAL_ADMIN_USERS || '')
+  .split(',')
+  .map((u) => u.trim())
+  .filter(Boolean);
+
+// Proxmox groups a user is a member of
+export async function getUserGroups(userid) {
+  const groups = await backend().listGroups();
+  return groups
+    .filter((g) => String(g.users || '').split(',').map((u) => u.trim()).includes(userid))
+    .map((g) => g.groupid);
+}
+
+// Role for a user that just signed in
+export async function resolveRole(userid) {
+  if (ADMIN_USERS.includes(userid)) return ROLES.ADMIN;
+  const groups = await getUserGroups(userid);
+  if (groups.includes(ADMIN_GROUP)) return ROLES.ADMIN;
+  if (groups.includes(TEACHER_GROUP)) return ROLES.TEACHER;
+  return ROLES.STUDENT;
+}
+
+// True for the groups that grant the admin or teacher role (as opposed to cohorts)
+export function isRoleGroup(groupid) {
+  return groupid === ADMIN_GROUP || groupid === TEACHER_GROUP;
+}
+
+// Cohorts a teacher may import into: the teacher's own groups, minus the role groups
+export async function getTeacherCohorts(userid) {
+  return (await getUserGroups(userid)).filter((g) => !isRoleGroup(g));
+}
@@ -0,0 +1,24 @@
+// lib/scheduler.js
+// Process-wide background jobs (started once, survive Next.js hot reloads)
+
+// Run fn every intervalMs; calling this again with the same name is a no-op
+export function startInterval(name, intervalMs, fn) {
+  const timers = (globalThis.__narrekappeTimers ||= new Map());
+  if (timers.has(name)) return;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    // Skip a tick if the previous run is still busy
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (e) {
+      console.error(`[${name}] Scheduler error:`, e?.message || e);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  timers.set(name, timer);
+}
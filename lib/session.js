@@ -0,0 +1,143 @@
+// lib/session.js
+// Signed session cookie for users who signed in with their Proxmox account
+
+import crypto from 'crypto';
+import { backend } from './proxmoxBackend';
+import { resolveRole } from './roles';
+
+const SESSION_SECRET = process.env.SESSION_SECRET;
+const SESSION_MAX_AGE = parseInt(process.env.SESSION_MAX_AGE_HOURS || '8', 10) * 60 * 60;
+const COOKIE_NAME = 'narrekappe_session';
+// How long the account state and role checked for a session are reused (seconds)
+const SESSION_RECHECK = parseInt(process.env.SESSION_RECHECK_SECONDS || '60', 10) * 1000;
+
+// userid -> { checkedAt, active, role }; shared across hot reloads
+const accountChecks = (globalThis.__sessionAccountChecks ||= new Map());
+
+function sign(value) {
+  if (!SESSION_SECRET) throw new Error('SESSION_SECRET is not set');
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('base64url');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx <= 0) continue;
+    try {
+      cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      // A malformed cookie (possibly set by another app on the domain) is skipped
+    }
+  }
+  return cookies;
+}
+
+function cookie(value, maxAge) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${COOKIE_NAME}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+// Start a session: { userid, username, role }
+export function createSession(res, { userid, username, role }) {
+  const payload = Buffer.from(
+    JSON.stringify({ userid, username, role, exp: Math.floor(Date.now() / 1000) + SESSION_MAX_AGE })
+  ).toString('base64url');
+  res.setHeader('Set-Cookie', cookie(`${payload}.${sign(payload)}`, SESSION_MAX_AGE));
+  return { userid, username, role };
+}
+
+// End the session
+export function clearSession(res) {
+  res.setHeader('Set-Cookie', cookie('', 0));
+}
+
+// Read and verify the session cookie; null when missing, tampered with or expired
+export function getSession(req) {
+  if (!SESSION_SECRET) return null;
+  const raw = parseCookies(req.headers?.cookie)[COOKIE_NAME];
+  if (!raw) return null;
+
+  const [payload, signature] = raw.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session.exp || session.exp * 1000 < Date.now()) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+// Forget the cached account state of a user, so the next request checks PVE again.
+// Called when an account is disabled, offboarded or moved between groups.
+export function invalidateSessionCache(userid) {
+  if (userid) accountChecks.delete(userid);
+  else accountChecks.clear();
+}
+
+// Whether the account behind a session is still enabled and unexpired, and its current
+// role. The cookie is signed at login; this catches everything that changed since.
+async function checkAccount(userid) {
+  const cached = accountChecks.get(userid);
+  if (cached && Date.now() - cached.checkedAt < SESSION_RECHECK) return cached;
+
+  const user = (await backend().listUsers()).find((u) => u.userid === userid);
+  const expire = Number(user?.expire || 0);
+  const active = Boolean(user) && String(user.enable) !== '0' && !(expire > 0 && expire * 1000 < Date.now());
+  const check = { checkedAt: Date.now(), active, role: active ? await resolveRole(userid) : null };
+  accountChecks.set(userid, check);
+  return check;
+}
+
+// Wrap an API handler so it only runs with a valid session (available as req.session).
+// Disabled, expired or deleted accounts are signed out; the role follows group changes.
+export function withSession(handler) {
+  return async (req, res) => {
+    const session = getSession(req);
+    if (!session) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(401).json({ error: 'Not signed in' });
+    }
+
+    let account;
+    try {
+      account = await checkAccount(session.userid);
+    } catch (e) {
+      console.error(`[SESSION] Could not check ${session.userid}: ${e.message}`);
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(503).json({ error: 'Could not verify your account' });
+    }
+    if (!account.active) {
+      clearSession(res);
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(401).json({ error: 'Account is no longer active' });
+    }
+
+    req.session = { ...session, role: account.role };
+    return handler(req, res);
+  };
+}
+
+// Wrap an API handler so only signed-in users with an allowed role reach it.
+// rules is a list of roles for every method, or { GET: [...], POST: [...] } per method;
+// methods without a rule are answered with 405.
+export function withRoles(rules, handler) {
+  return withSession((req, res) => {
+    const allowed = Array.isArray(rules) ? rules : rules[req.method];
+    if (!allowed) {
+      res.setHeader('Allow', Object.keys(rules).join(','));
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    if (!allowed.includes(req.session.role)) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(403).json({ error: 'Not allowed for your role' });
+    }
+    return handler(req, res);
+  });
+}
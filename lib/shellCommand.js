@@ -0,0 +1,121 @@
+// lib/shellCommand.js
+// Build shell command lines for the Proxmox host with every argument escaped
+
+// Programs the web app is allowed to run on the host
+const ALLOWED_PROGRAMS = new Set([
+  'pveum', 'qm', 'pvesh', 'vzdump', 'cat', 'find', 'stat', 'arp',
+  // template uploads: unpack OVAs, convert disks, tidy the staging directory
+  'tar', 'qemu-img', 'mkdir', 'mv', 'rm',
+]);
+
+const USERID_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*@[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const USERNAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+// PVE VMIDs run from 100 to 999999999
+const VMID_RE = /^[1-9]\d{2,8}$/;
+const TEMPLATE_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+// PVE snapshot names: a letter, then letters, digits, _ or -
+const SNAPSHOT_RE = /^[A-Za-z][A-Za-z0-9_-]{1,39}$/;
+// Group, pool and role ids share PVE's [A-Za-z0-9._-] format
+const PVE_ID_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+export class CommandArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandArgumentError';
+  }
+}
+
+// Quote a single argument for a POSIX shell
+export function shellQuote(arg) {
+  if (typeof arg === 'number') {
+    if (!Number.isFinite(arg)) throw new CommandArgumentError(`Invalid numeric argument: ${arg}`);
+    return String(arg);
+  }
+  if (typeof arg !== 'string') {
+    throw new CommandArgumentError(`Invalid argument type: ${typeof arg}`);
+  }
+  if (arg.includes('\0')) {
+    throw new CommandArgumentError('Argument contains a NUL byte');
+  }
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(arg)) return arg;
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+// Build "program arg1 arg2 ..." with each argument quoted
+export function buildCommand(program, args = []) {
+  if (!ALLOWED_PROGRAMS.has(program)) {
+    throw new CommandArgumentError(`Program not allowed: ${program}`);
+  }
+  return [program, ...args.map(shellQuote)].join(' ');
+}
+
+// Validate a Proxmox userid (name@realm)
+export function assertUserid(userid) {
+  if (typeof userid !== 'string' || userid.length > 64 || !USERID_RE.test(userid)) {
+    throw new CommandArgumentError(`Invalid userid: ${userid}`);
+  }
+  return userid;
+}
+
+// Validate a bare username (no realm)
+export function assertUsername(username) {
+  if (typeof username !== 'string' || username.length > 64 || !USERNAME_RE.test(username)) {
+    throw new CommandArgumentError(`Invalid username: ${username}`);
+  }
+  return username;
+}
+
+// Validate a VMID and return it as a number. Only plain decimal digits count, so
+// "1e3", "0x64" and " 200" are refused rather than coerced.
+export function assertVmid(vmid) {
+  if ((typeof vmid !== 'number' && typeof vmid !== 'string') || !VMID_RE.test(String(vmid))) {
+    throw new CommandArgumentError(`Invalid VMID: ${vmid}`);
+  }
+  return Number(vmid);
+}
+
+// Validate a template name as used in /var/lib/vz/template/qemu
+export function assertTemplateName(name) {
+  if (typeof name !== 'string' || name.length > 64 || !TEMPLATE_RE.test(name)) {
+    throw new CommandArgumentError(`Invalid template name: ${name}`);
+  }
+  return name;
+}
+
+export function assertSnapshotName(name) {
+  if (typeof name !== 'string' || !SNAPSHOT_RE.test(name) || name === 'current') {
+    throw new CommandArgumentError(`Invalid snapshot name: ${name}`);
+  }
+  return name;
+}
+
+function assertPveId(value, label) {
+  if (typeof value !== 'string' || value.length > 64 || !PVE_ID_RE.test(value)) {
+    throw new CommandArgumentError(`Invalid ${label}: ${value}`);
+  }
+  return value;
+}
+
+// Validate a Proxmox group id
+export function assertGroupid(groupid) {
+  return assertPveId(groupid, 'group');
+}
+
+// Validate a Proxmox resource pool id
+export function assertPoolid(poolid) {
+  return assertPveId(poolid, 'pool');
+}
+
+// Validate a Proxmox role id
+export function assertRoleid(roleid) {
+  return assertPveId(roleid, 'role');
+}
+
+// Validate a positive integer option such as memory or cores
+export function assertPositiveInt(value, label) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) {
+    throw new CommandArgumentError(`Invalid ${label}: ${value}`);
+  }
+  return n;
+}
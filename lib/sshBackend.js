@@ -0,0 +1,431 @@
+// lib/sshBackend.js
+// Proxmox backend that runs pveum/qm over SSH on the host
+
+import path from 'path';
+import { SSHPool } from './sshPool';
+import { buildCommand } from './shellCommand';
+import { parseAgentInterfaces } from './guestNetwork';
+
+const PROXMOX_HOST = process.env.PROXMOX_HOST || '192.168.205.30';
+const PROXMOX_USER = process.env.PROXMOX_USER || 'root';
+const PROXMOX_PASSWORD = process.env.PROXMOX_PASSWORD;
+const TEMPLATE_DIR = '/var/lib/vz/template/qemu';
+// Uploads are unpacked and converted here before the disk is moved into TEMPLATE_DIR
+const STAGING_DIR = `${TEMPLATE_DIR}/.staging`;
+// Disk copies (clone, importdisk, qemu-img convert, vzdump) get this instead of the pool's command timeout
+const LONG_COMMAND_TIMEOUT = parseInt(process.env.PROXMOX_SSH_LONG_COMMAND_TIMEOUT || '14400000', 10);
+const DHCP_LEASES = process.env.PROXMOX_DHCP_LEASES || '/var/lib/misc/dnsmasq.leases';
+
+// Shared SSH pool; kept on globalThis so Next.js hot reloads don't leak connections
+function getSSHPool() {
+  if (!globalThis.__proxmoxSSHPool) {
+    globalThis.__proxmoxSSHPool = new SSHPool(
+      {
+        host: PROXMOX_HOST,
+        port: 22,
+        username: PROXMOX_USER,
+        password: PROXMOX_PASSWORD,
+      },
+      {
+        maxConnections: parseInt(process.env.PROXMOX_SSH_MAX_CONNECTIONS || '2', 10),
+        maxChannelsPerConnection: parseInt(process.env.PROXMOX_SSH_MAX_CHANNELS || '4', 10),
+        idleTimeout: parseInt(process.env.PROXMOX_SSH_IDLE_TIMEOUT || '60000', 10),
+        commandTimeout: parseInt(process.env.PROXMOX_SSH_COMMAND_TIMEOUT || '300000', 10),
+      }
+    );
+  }
+  return globalThis.__proxmoxSSHPool;
+}
+
+// Execute command on Proxmox via SSH. Anything but exit status 0 is a failure,
+// including a command killed by a signal or one that reported no status at all.
+export async function execSSH(command, options) {
+  const { code, signal, stdout, stderr } = await getSSHPool().exec(command, options);
+  if (code !== 0) {
+    const status = signal ? `signal ${signal}` : code ?? 'no exit status';
+    throw new Error(`Command failed (${status}): ${stderr.trim() || command}`);
+  }
+  return stdout.trim();
+}
+
+// Run a program with escaped arguments on Proxmox via SSH
+export async function execCommand(program, args = [], options) {
+  return execSSH(buildCommand(program, args), options);
+}
+
+// Parse "key: value" lines from qm config into an object
+function parseConfig(output) {
+  const config = {};
+  for (const line of output.split('\n')) {
+    const idx = line.indexOf(': ');
+    if (idx > 0) config[line.slice(0, idx).trim()] = line.slice(idx + 2);
+  }
+  return config;
+}
+
+// Turn { memory: 2048, vga: 'std' } into ['--memory', 2048, '--vga', 'std']
+function toOptionArgs(options) {
+  return Object.entries(options)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .flatMap(([key, value]) => [`--${key}`, value]);
+}
+
+// ==========================================
+// USERS
+// ==========================================
+
+export async function listUsers() {
+  const output = await execCommand('pveum', ['user', 'list', '--output-format', 'json']);
+  return JSON.parse(output);
+}
+
+export async function createUser({ userid, password, comment, email, expire, groups }) {
+  await execCommand('pveum', ['user', 'add', userid, ...toOptionArgs({ password, comment, email, expire, groups })]);
+}
+
+export async function deleteUser(userid) {
+  await execCommand('pveum', ['user', 'delete', userid]);
+}
+
+export async function modifyUser(userid, options) {
+  await execCommand('pveum', ['user', 'modify', userid, ...toOptionArgs(options)]);
+}
+
+// pveum passwd prompts on a terminal, so go through the API path instead
+export async function setUserPassword(userid, password) {
+  await execCommand('pvesh', ['set', '/access/password', '--userid', userid, '--password', password]);
+}
+
+// ==========================================
+// GROUPS, POOLS AND PERMISSIONS
+// ==========================================
+
+// [{ groupid, comment, users: "a@pve,b@pve" }]
+export async function listGroups() {
+  const output = await execCommand('pveum', ['group', 'list', '--output-format', 'json']);
+  return JSON.parse(output || '[]');
+}
+
+export async function createGroup(groupid, comment) {
+  await execCommand('pveum', ['group', 'add', groupid, ...toOptionArgs({ comment })]);
+}
+
+export async function listPools() {
+  const output = await execCommand('pveum', ['pool', 'list', '--output-format', 'json']);
+  return JSON.parse(output || '[]');
+}
+
+export async function createPool(poolid, comment) {
+  await execCommand('pveum', ['pool', 'add', poolid, ...toOptionArgs({ comment })]);
+}
+
+export async function listRoles() {
+  const output = await execCommand('pveum', ['role', 'list', '--output-format', 'json']);
+  return JSON.parse(output || '[]');
+}
+
+// Grant roles on a path, e.g. setAcl('/pool/klas1a', { groups: 'klas1a', roles: 'PVEAuditor', propagate: 1 })
+export async function setAcl(path, options) {
+  await execCommand('pveum', ['acl', 'modify', path, ...toOptionArgs(options)]);
+}
+
+// ==========================================
+// VMS
+// ==========================================
+
+export async function listVMs() {
+  // "localhost" is the node pvesh runs on; qm list does not report tags
+  const output = await execCommand('pvesh', ['get', '/nodes/localhost/qemu', '--output-format', 'json']);
+  return JSON.parse(output || '[]')
+    .filter((vm) => !vm.template)
+    .map((vm) => ({ vmid: Number(vm.vmid), name: vm.name || '', status: vm.status, tags: vm.tags || '' }))
+    .sort((a, b) => a.vmid - b.vmid);
+}
+
+// VMIDs in use anywhere in the cluster (VMs, containers and templates)
+export async function listUsedVmids() {
+  const output = await execCommand('pvesh', ['get', '/cluster/resources', '--type', 'vm', '--output-format', 'json']);
+  return JSON.parse(output || '[]').map((r) => Number(r.vmid));
+}
+
+// Next free VMID according to the cluster
+export async function nextVmid() {
+  return Number(await execCommand('pvesh', ['get', '/cluster/nextid']));
+}
+
+// Ask the cluster whether a VMID is free; throws if it is taken
+export async function checkVmidFree(vmid) {
+  await execCommand('pvesh', ['get', '/cluster/nextid', '--vmid', vmid]);
+}
+
+export async function getVMConfig(vmid) {
+  return parseConfig(await execCommand('qm', ['config', vmid]));
+}
+
+export async function getVMRunState(vmid) {
+  const output = await execCommand('qm', ['status', vmid]);
+  return output.includes('running') ? 'running' : 'stopped';
+}
+
+export async function createVM(vmid, options) {
+  await execCommand('qm', ['create', vmid, ...toOptionArgs(options)]);
+}
+
+export async function setVMOptions(vmid, options) {
+  await execCommand('qm', ['set', vmid, ...toOptionArgs(options)]);
+}
+
+// Import the template's qcow2 and attach it as the boot disk
+export async function attachTemplateDisk(vmid, templateName, storage) {
+  await execCommand('qm', ['importdisk', vmid, `${TEMPLATE_DIR}/${templateName}-disk0.qcow2`, storage], {
+    timeout: LONG_COMMAND_TIMEOUT,
+  });
+  await setVMOptions(vmid, {
+    scsihw: 'virtio-scsi-pci',
+    scsi0: `${storage}:vm-${vmid}-disk-0`,
+  });
+}
+
+// Clone a template VM. A linked clone (full: false) shares the template's disks and
+// must stay on the template's storage; storage only applies to full clones.
+export async function cloneVM(templateVmid, vmid, { name, full = false, storage, pool } = {}) {
+  await execCommand(
+    'qm',
+    ['clone', templateVmid, vmid, ...toOptionArgs({ name, full: full ? 1 : 0, storage: full ? storage : undefined, pool })],
+    { timeout: LONG_COMMAND_TIMEOUT }
+  );
+}
+
+// Turn a (stopped) VM into a template
+export async function convertToTemplate(vmid) {
+  await execCommand('qm', ['template', vmid]);
+}
+
+export async function startVM(vmid) {
+  await execCommand('qm', ['start', vmid]);
+}
+
+export async function haltVM(vmid) {
+  await execCommand('qm', ['stop', vmid]);
+}
+
+export async function destroyVM(vmid) {
+  await execCommand('qm', ['destroy', vmid, '--purge']);
+}
+
+// Snapshots of a VM, without PVE's "current" pseudo-entry
+export async function listSnapshots(vmid) {
+  const output = await execCommand('pvesh', [
+    'get', `/nodes/localhost/qemu/${vmid}/snapshot`, '--output-format', 'json',
+  ]);
+  return JSON.parse(output || '[]').filter((snap) => snap.name !== 'current');
+}
+
+// Disk-only snapshot (no RAM state)
+export async function createSnapshot(vmid, name, { description } = {}) {
+  await execCommand('qm', ['snapshot', vmid, name, ...toOptionArgs({ description })]);
+}
+
+export async function rollbackSnapshot(vmid, name) {
+  await execCommand('qm', ['rollback', vmid, name]);
+}
+
+export async function deleteSnapshot(vmid, name) {
+  await execCommand('qm', ['delsnapshot', vmid, name]);
+}
+
+// Back up a VM with vzdump to the given storage
+export async function backupVM(vmid, storage) {
+  await execCommand('vzdump', [vmid, '--storage', storage, '--mode', 'stop', '--compress', 'zstd'], {
+    timeout: LONG_COMMAND_TIMEOUT,
+  });
+}
+
+// Ask the QEMU guest agent for the VM's interfaces
+async function agentInterfaces(vmid) {
+  const output = await execCommand('qm', ['agent', vmid, 'network-get-interfaces']);
+  return parseAgentInterfaces(JSON.parse(output));
+}
+
+// Look a MAC up in the dnsmasq lease file, then in the host's ARP table
+async function leaseOrArpAddress(mac) {
+  try {
+    const leases = await execCommand('cat', [DHCP_LEASES]);
+    // dnsmasq format: <expiry> <mac> <ip> <hostname> <client-id>
+    const lease = leases.split('\n').map((l) => l.trim().split(/\s+/)).find((f) => f[1]?.toLowerCase() === mac);
+    if (lease) return { source: 'dhcp', address: lease[2] };
+  } catch {}
+
+  const arpOutput = await execCommand('arp', ['-n']);
+  const line = arpOutput.split('\n').find((l) => l.toLowerCase().includes(mac));
+  const ipMatch = line && line.match(/(\d+\.\d+\.\d+\.\d+)/);
+  return ipMatch ? { source: 'arp', address: ipMatch[1] } : null;
+}
+
+// List the VM's interfaces: guest agent first, then DHCP leases / ARP for each NIC
+export async function getVMInterfaces(vmid, config) {
+  try {
+    const interfaces = await agentInterfaces(vmid);
+    if (interfaces.length > 0) return { source: 'guest-agent', interfaces };
+  } catch {}
+
+  let source = null;
+  const interfaces = [];
+  for (const [key, value] of Object.entries(config)) {
+    const macMatch = key.match(/^net\d+$/) && value.match(/=([0-9A-Fa-f]{2}(?::[0-9A-Fa-f]{2}){5})/);
+    if (!macMatch) continue;
+    const mac = macMatch[1].toLowerCase();
+    const found = await leaseOrArpAddress(mac);
+    if (found) source = source || found.source;
+    interfaces.push({
+      name: key,
+      mac,
+      ipv4: found ? [{ address: found.address, prefix: null }] : [],
+      ipv6: [],
+    });
+  }
+  return { source, interfaces };
+}
+
+// ==========================================
+// TEMPLATES
+// ==========================================
+
+export async function templateExists(templateName) {
+  try {
+    await execCommand('stat', ['--format=%s', `${TEMPLATE_DIR}/${templateName}-disk0.qcow2`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Every metadata file in one SSH call: find prints a marker line before cat-ing each file
+const METADATA_MARKER = '==> narrekappe-template:';
+
+export async function listTemplates() {
+  let output;
+  try {
+    output = await execCommand('find', [
+      TEMPLATE_DIR, '-maxdepth', '1', '-name', '*-metadata.json',
+      '-printf', `\\n${METADATA_MARKER}%f\\n`, '-exec', 'cat', '{}', ';',
+    ]);
+  } catch {
+    return [];
+  }
+
+  const templates = [];
+  const sections = `\n${output}`.split(`\n${METADATA_MARKER}`).slice(1);
+
+  for (const section of sections) {
+    const newline = section.indexOf('\n');
+    const file = newline < 0 ? section : section.slice(0, newline);
+    const vmName = file.replace(/-metadata\.json$/, '');
+    try {
+      const data = JSON.parse(section.slice(newline + 1));
+      templates.push({ id: vmName, name: vmName, ...data });
+    } catch (e) {
+      console.error(`Error reading ${file}:`, e.message);
+    }
+  }
+
+  return templates.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function sftpCall(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (err, value) => (err ? reject(err) : resolve(value)));
+  });
+}
+
+// Write <name>-metadata.json next to the template disk
+export async function writeTemplateMetadata(templateName, metadata) {
+  const file = `${TEMPLATE_DIR}/${templateName}-metadata.json`;
+  await getSSHPool().sftp((sftp) => sftpCall(sftp, 'writeFile', file, `${JSON.stringify(metadata, null, 2)}\n`));
+}
+
+// Last "(12.34/100%)" that qemu-img convert -p printed
+function parseConvertProgress(chunk) {
+  const matches = [...chunk.matchAll(/\((\d+(?:\.\d+)?)\/100%\)/g)];
+  return matches.length ? Number(matches[matches.length - 1][1]) : null;
+}
+
+// Inspect an uploaded disk image before converting it. Only plain qcow2/vmdk images of
+// the expected format pass: a backing file or a VMDK extent outside the staging
+// directory would make qemu-img copy host files or other VMs' disks into the template.
+// Resolves with the verified format, to pass to qemu-img convert -f.
+async function verifyUploadedImage(file, expectedFormat, staging) {
+  // qemu-img info does not open backing files unless --backing-chain is given
+  const info = JSON.parse(await execCommand('qemu-img', ['info', '--output=json', file]));
+  if (info.format !== expectedFormat) {
+    throw new Error(`Disk image is ${info.format || 'of an unknown format'}, expected ${expectedFormat}`);
+  }
+  if (info['backing-filename'] || info['full-backing-filename']) {
+    throw new Error('Disk images with a backing file are not accepted');
+  }
+  const inside = (f) => {
+    const resolved = path.posix.resolve(path.posix.dirname(file), String(f));
+    return resolved.startsWith(`${staging}/`);
+  };
+  for (const extent of info['format-specific']?.data?.extents || []) {
+    if (!extent.filename || !inside(extent.filename)) {
+      throw new Error(`Disk image refers to a file outside the upload: ${extent.filename || '(unnamed extent)'}`);
+    }
+  }
+  return info.format;
+}
+
+// Copy an uploaded OVA, qcow2 or vmdk to the host and turn it into <name>-disk0.qcow2.
+// onProgress(state, { percent }) reports uploading, extracting and converting. Every
+// import job unpacks into its own staging directory.
+export async function importTemplateImage(templateName, { localFile, format, jobId, onProgress = () => {} }) {
+  const staging = `${STAGING_DIR}/${jobId || templateName}`;
+  const uploaded = `${staging}/upload.${format}`;
+  const target = `${TEMPLATE_DIR}/${templateName}-disk0.qcow2`;
+
+  await execCommand('mkdir', ['-p', staging]);
+  try {
+    onProgress('uploading', { percent: 0 });
+    await getSSHPool().sftp((sftp) =>
+      sftpCall(sftp, 'fastPut', localFile, uploaded, {
+        step: (transferred, chunk, total) => {
+          onProgress('uploading', { percent: total ? Math.floor((transferred / total) * 100) : null });
+        },
+      })
+    );
+
+    let source = uploaded;
+    if (format === 'ova') {
+      // An OVA is a tar of the OVF descriptor and its disks; the first disk becomes the template
+      onProgress('extracting', { percent: null });
+      await execCommand('tar', ['-xf', uploaded, '-C', staging, '--no-same-owner', '--no-same-permissions']);
+      // Links in the archive could point qemu-img at any file on the host
+      const special = await execCommand('find', [staging, '!', '-type', 'f', '!', '-type', 'd']);
+      if (special.trim()) throw new Error('The OVA contains links or special files');
+      const disks = (await execCommand('find', [staging, '-maxdepth', '2', '-type', 'f', '-name', '*.vmdk']))
+        .split('\n')
+        .filter((f) => f.trim())
+        .sort();
+      if (disks.length === 0) throw new Error('The OVA contains no .vmdk disk');
+      source = disks[0];
+    }
+
+    const sourceFormat = await verifyUploadedImage(source, format === 'ova' ? 'vmdk' : format, staging);
+    onProgress('converting', { percent: 0 });
+    await execCommand('qemu-img', ['convert', '-p', '-f', sourceFormat, '-O', 'qcow2', source, `${target}.part`], {
+      timeout: LONG_COMMAND_TIMEOUT,
+      onStdout: (chunk) => {
+        const percent = parseConvertProgress(chunk);
+        if (percent !== null) onProgress('converting', { percent: Math.floor(percent) });
+      },
+    });
+    // Only a finished conversion shows up as a template
+    await execCommand('mv', ['-f', `${target}.part`, target]);
+  } finally {
+    try {
+      await execCommand('rm', ['-rf', staging, `${target}.part`]);
+    } catch (e) {
+      console.error(`Could not remove ${staging}:`, e.message);
+    }
+  }
+}
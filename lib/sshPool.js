@@ -0,0 +1,220 @@
+// lib/sshPool.js
+// Pool of persistent SSH connections to the Proxmox host
+
+import { Client } from 'ssh2';
+
+const DEFAULTS = {
+  maxConnections: 2,
+  // sshd's MaxSessions defaults to 10; stay well below it per connection
+  maxChannelsPerConnection: 4,
+  idleTimeout: 60000,
+  readyTimeout: 30000,
+  // Per-command limit; exec(command, { timeout }) overrides it for long-running commands
+  commandTimeout: 300000,
+};
+
+export class SSHPool {
+  constructor(connectConfig, options = {}) {
+    this.connectConfig = connectConfig;
+    this.options = { ...DEFAULTS, ...options };
+    this.connections = [];
+    this.queue = [];
+  }
+
+  // Run a command and resolve with { code, signal, stdout, stderr }; code is null when
+  // the command was killed by a signal or the server sent no exit status.
+  // onStdout receives output chunks as they arrive (e.g. for progress).
+  exec(command, { onStdout, timeout = this.options.commandTimeout } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ command, onStdout, timeout, resolve, reject, retried: false });
+      this._dispatch();
+    });
+  }
+
+  // Run fn(sftp) on a pooled connection; the SFTP session counts as one channel
+  sftp(fn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ sftp: fn, resolve, reject, retried: false });
+      this._dispatch();
+    });
+  }
+
+  // Close every open connection
+  close() {
+    for (const entry of [...this.connections]) {
+      this._drop(entry);
+    }
+  }
+
+  _dispatch() {
+    while (this.queue.length > 0) {
+      const entry = this._acquire();
+      if (!entry) return;
+      const job = this.queue.shift();
+      this._run(entry, job);
+    }
+  }
+
+  // Find a connection with a free channel, or open a new one if allowed
+  _acquire() {
+    const { maxChannelsPerConnection, maxConnections } = this.options;
+    const free = this.connections.find(
+      (c) => !c.closed && c.active < maxChannelsPerConnection
+    );
+    if (free) return free;
+    if (this.connections.length < maxConnections) return this._connect();
+    return null;
+  }
+
+  _connect() {
+    const client = new Client();
+    const entry = { client, active: 0, closed: false, idleTimer: null };
+
+    entry.ready = new Promise((resolve, reject) => {
+      client.on('ready', resolve);
+      client.on('error', (err) => {
+        reject(err);
+        this._drop(entry);
+      });
+    });
+    // Avoid unhandled rejections when nobody is waiting on the handshake
+    entry.ready.catch(() => {});
+
+    client.on('close', () => this._drop(entry));
+
+    client.connect({
+      ...this.connectConfig,
+      readyTimeout: this.options.readyTimeout,
+      keepaliveInterval: 15000,
+    });
+
+    this.connections.push(entry);
+    return entry;
+  }
+
+  // Stop handing out channels on this connection and end it once the channels already
+  // running on it have finished, so one failed channel doesn't take its siblings down
+  _retire(entry) {
+    if (entry.closed || entry.retired) return;
+    entry.retired = true;
+    this.connections = this.connections.filter((c) => c !== entry);
+    if (entry.active === 0) this._drop(entry);
+    // Queued commands can now get a fresh connection
+    setImmediate(() => this._dispatch());
+  }
+
+  _drop(entry) {
+    if (entry.closed) return;
+    entry.closed = true;
+    clearTimeout(entry.idleTimer);
+    this.connections = this.connections.filter((c) => c !== entry);
+    try {
+      entry.client.end();
+    } catch {}
+    // Queued commands can now get a fresh connection
+    setImmediate(() => this._dispatch());
+  }
+
+  _release(entry) {
+    entry.active--;
+    if (entry.active === 0 && entry.retired) {
+      this._drop(entry);
+    } else if (entry.active === 0 && !entry.closed) {
+      entry.idleTimer = setTimeout(() => this._drop(entry), this.options.idleTimeout);
+    }
+    this._dispatch();
+  }
+
+  async _run(entry, job) {
+    entry.active++;
+    clearTimeout(entry.idleTimer);
+
+    try {
+      await entry.ready;
+    } catch (err) {
+      entry.active--;
+      return job.reject(err);
+    }
+
+    // The channel couldn't be opened (connection gone, or the server's MaxSessions
+    // reached): retry once on a new connection
+    const retryOrReject = (err) => {
+      entry.active--;
+      this._retire(entry);
+      if (!job.retried) {
+        job.retried = true;
+        this.queue.unshift(job);
+        return this._dispatch();
+      }
+      return job.reject(err);
+    };
+
+    if (job.sftp) {
+      entry.client.sftp((err, sftp) => {
+        if (err) return retryOrReject(err);
+        Promise.resolve()
+          .then(() => job.sftp(sftp))
+          .then(
+            (value) => {
+              sftp.end();
+              this._release(entry);
+              job.resolve(value);
+            },
+            (error) => {
+              sftp.end();
+              this._release(entry);
+              job.reject(error);
+            }
+          );
+      });
+      return;
+    }
+
+    entry.client.exec(job.command, (err, stream) => {
+      if (err) return retryOrReject(err);
+
+      let stdout = '';
+      let stderr = '';
+      let code = null;
+      let signal = null;
+      let timedOut = false;
+
+      const timer =
+        job.timeout > 0 &&
+        setTimeout(() => {
+          timedOut = true;
+          try {
+            stream.signal('KILL');
+          } catch {}
+          stream.close();
+        }, job.timeout);
+
+      stream.on('data', (data) => {
+        stdout += data.toString();
+        if (job.onStdout) {
+          try {
+            job.onStdout(data.toString());
+          } catch {}
+        }
+      });
+
+      stream.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      stream.on('exit', (exitCode, exitSignal) => {
+        code = exitCode ?? null;
+        signal = exitSignal ?? null;
+      });
+
+      stream.on('close', () => {
+        clearTimeout(timer);
+        this._release(entry);
+        if (timedOut) {
+          return job.reject(new Error(`Command timed out after ${Math.round(job.timeout / 1000)}s: ${job.command}`));
+        }
+        job.resolve({ code, signal, stdout, stderr });
+      });
+    });
+  }
+}
@@ -0,0 +1,293 @@
+// lib/templateCatalog.js
+// Template catalog management: import uploaded images as background jobs, edit metadata, retire
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import { backend } from './proxmoxBackend';
+import { readJson, updateJson } from './jsonStore';
+import { ConflictError, NotFoundError } from './errors';
+import { CommandArgumentError, assertPositiveInt, assertTemplateName, assertVmid } from './shellCommand';
+import { audited } from './audit';
+import { allocateVmid, getVmidRange } from './vmidAllocator';
+
+const JOBS_FILE = 'template-jobs.json';
+const JOB_RETENTION = 7 * 24 * 60 * 60 * 1000; // keep finished jobs for a week
+// Storage for template VMs; linked clones need one with thin provisioning (LVM-thin, ZFS, qcow2 on a directory)
+const TEMPLATE_VM_STORAGE = process.env.PROXMOX_TEMPLATE_VM_STORAGE || 'local-lvm';
+
+export const TEMPLATE_JOB_STATES = ['queued', 'uploading', 'extracting', 'converting', 'done', 'failed'];
+const FINAL_STATES = new Set(['done', 'failed']);
+// Upload extension -> image format
+const FORMATS = { ova: 'ova', qcow2: 'qcow2', vmdk: 'vmdk' };
+
+// Metadata fields admins can set, with how each one is validated
+const TEXT_FIELDS = { displayName: 100, description: 2000, os: 100 };
+const NUMBER_FIELDS = ['defaultMemory', 'defaultCores', 'sessionTimeoutMinutes', 'maxSessionMinutes'];
+const BOOLEAN_FIELDS = ['guestAgent'];
+
+// Emits "<jobId>" with the updated job on every change
+const events = (globalThis.__templateJobEvents ||= new EventEmitter());
+events.setMaxListeners(0);
+// Template names whose upload is still arriving, before their job exists
+const receiving = (globalThis.__templateUploads ||= new Set());
+
+export function isFinalTemplateState(state) {
+  return FINAL_STATES.has(state);
+}
+
+// Image format of an uploaded file name, e.g. "ubuntu.ova" -> "ova"
+export function uploadFormat(filename) {
+  const ext = String(filename || '').split('.').pop().toLowerCase();
+  const format = FORMATS[ext];
+  if (!format) throw new CommandArgumentError(`Unsupported file type .${ext}; upload an .ova, .qcow2 or .vmdk`);
+  return format;
+}
+
+// Merge a metadata patch into the existing metadata. Unknown fields in the existing
+// file are kept; empty values remove a field.
+export function mergeTemplateMetadata(existing = {}, patch = {}) {
+  const { id, name, ...metadata } = existing;
+
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    if (patch[field] === undefined) continue;
+    const value = String(patch[field] ?? '').trim();
+    if (value.length > maxLength) throw new CommandArgumentError(`${field} is longer than ${maxLength} characters`);
+    if (value) metadata[field] = value;
+    else delete metadata[field];
+  }
+  for (const field of NUMBER_FIELDS) {
+    if (patch[field] === undefined) continue;
+    if (patch[field] === '' || patch[field] === null) delete metadata[field];
+    else metadata[field] = assertPositiveInt(patch[field], field);
+  }
+  for (const field of BOOLEAN_FIELDS) {
+    if (patch[field] !== undefined) metadata[field] = Boolean(patch[field]);
+  }
+  if (patch.templateVmid !== undefined) {
+    if (patch.templateVmid === '' || patch.templateVmid === null) delete metadata.templateVmid;
+    else metadata.templateVmid = assertVmid(patch.templateVmid);
+  }
+  return metadata;
+}
+
+// How deployVM uses a template: "clone" a Proxmox template VM (linked, or full when the
+// storage cannot do linked clones) or "import" the qcow2 into a new VM
+export function withDeployMode(template) {
+  return { ...template, deployMode: template.templateVmid ? 'clone' : 'import' };
+}
+
+// Every template, retired ones included
+export async function listAllTemplates() {
+  return (await backend().listTemplates()).map(withDeployMode);
+}
+
+async function findTemplate(templateName) {
+  assertTemplateName(templateName);
+  const template = (await backend().listTemplates()).find((t) => t.id === templateName);
+  if (!template) throw new NotFoundError(`Template ${templateName} not found`);
+  return template;
+}
+
+// Update a template's metadata
+export async function saveTemplateMetadata(templateName, patch) {
+  const template = await findTemplate(templateName);
+  const metadata = mergeTemplateMetadata(template, patch);
+  return audited('template.metadata', { params: { template: templateName, ...metadata } }, async () => {
+    await backend().writeTemplateMetadata(templateName, metadata);
+    return { id: templateName, name: templateName, ...metadata };
+  });
+}
+
+// Retire a template so it is no longer offered for new deployments (or bring it back).
+// Running VMs and the disk are left alone.
+export async function retireTemplate(templateName, retired = true) {
+  const template = await findTemplate(templateName);
+  const { id, name, ...metadata } = template;
+  if (retired) {
+    metadata.retired = true;
+    metadata.retiredAt = new Date().toISOString();
+  } else {
+    delete metadata.retired;
+    delete metadata.retiredAt;
+  }
+  return audited(retired ? 'template.retire' : 'template.restore', { params: { template: templateName } }, async () => {
+    await backend().writeTemplateMetadata(templateName, metadata);
+    return { id: templateName, name: templateName, ...metadata };
+  });
+}
+
+// Turn a catalog entry into a Proxmox template VM built from its qcow2, so deployments
+// become (linked) clones instead of a full disk import each time
+export async function createTemplateVM(templateName) {
+  const template = await findTemplate(templateName);
+  const pve = backend();
+  if (template.templateVmid) {
+    try {
+      if ((await pve.getVMConfig(template.templateVmid)).template) {
+        throw new ConflictError(`Template ${templateName} already uses template VM ${template.templateVmid}`);
+      }
+    } catch (e) {
+      if (e instanceof ConflictError) throw e;
+    }
+  }
+
+  return audited('template.create-vm', { params: { template: templateName } }, async () => {
+    // Template VMs get their own VMID range when VMID_RANGES has a "template" entry
+    let purpose = 'template';
+    try {
+      getVmidRange(purpose);
+    } catch {
+      purpose = 'lab';
+    }
+    const { vmid, release } = await allocateVmid(purpose);
+    let created = false;
+    try {
+      await pve.createVM(vmid, {
+        name: `template-${templateName}`,
+        memory: template.defaultMemory || 2048,
+        cores: template.defaultCores || 2,
+        net0: 'virtio,bridge=vmbr1',
+        agent: template.guestAgent ? 'enabled=1' : undefined,
+      });
+      created = true;
+      release();
+      await pve.attachTemplateDisk(vmid, templateName, TEMPLATE_VM_STORAGE);
+      await pve.setVMOptions(vmid, { boot: 'order=scsi0', vga: 'std' });
+      await pve.convertToTemplate(vmid);
+    } catch (e) {
+      release();
+      if (created) await pve.destroyVM(vmid).catch(() => {});
+      throw e;
+    }
+
+    const { id, name, ...metadata } = template;
+    metadata.templateVmid = vmid;
+    await pve.writeTemplateMetadata(templateName, metadata);
+    return withDeployMode({ id: templateName, name: templateName, ...metadata });
+  });
+}
+
+async function saveJob(job) {
+  await updateJson(JOBS_FILE, {}, (jobs) => {
+    jobs[job.id] = job;
+  });
+  events.emit(job.id, job);
+}
+
+// Conversions that were running when the server stopped can never finish
+async function recoverInterruptedJobs() {
+  if (globalThis.__templateJobsRecovered) return;
+  globalThis.__templateJobsRecovered = true;
+
+  const now = Date.now();
+  await updateJson(JOBS_FILE, {}, (jobs) => {
+    for (const [id, job] of Object.entries(jobs)) {
+      if (isFinalTemplateState(job.state)) {
+        if (now - Date.parse(job.updatedAt) > JOB_RETENTION) delete jobs[id];
+        continue;
+      }
+      job.state = 'failed';
+      job.error = 'Interrupted by a server restart';
+      job.updatedAt = new Date(now).toISOString();
+    }
+  });
+}
+
+function findRunningJob(jobs, name) {
+  return Object.values(jobs).find((j) => j.name === name && !isFinalTemplateState(j.state));
+}
+
+// Throws unless <name> is a valid, unused template name with no import in progress
+export async function assertTemplateImportable(name) {
+  assertTemplateName(name);
+  await recoverInterruptedJobs();
+  if (await backend().templateExists(name)) throw new ConflictError(`Template ${name} already exists`);
+  if (findRunningJob(await readJson(JOBS_FILE, {}), name)) {
+    throw new ConflictError(`Template ${name} is already being imported`);
+  }
+}
+
+// Claim <name> while its upload is received, so a second upload of the same name is
+// refused before it sends any data. Returns a function that gives the name back.
+export async function reserveTemplateUpload(name) {
+  await assertTemplateImportable(name);
+  if (receiving.has(name)) throw new ConflictError(`Template ${name} is already being uploaded`);
+  receiving.add(name);
+  return () => receiving.delete(name);
+}
+
+// Import an uploaded file (already on this server) as template <name>, then write its
+// metadata. Returns the job right away; the local file is removed when the job ends.
+export async function startTemplateImport({ name, localFile, originalName, metadata = {} }) {
+  const format = uploadFormat(originalName);
+  const initialMetadata = mergeTemplateMetadata({}, metadata);
+  await assertTemplateImportable(name);
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    name,
+    originalName,
+    format,
+    state: 'queued',
+    percent: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  // Check and register in one step, so two imports of one name can never both start
+  await updateJson(JOBS_FILE, {}, (jobs) => {
+    if (findRunningJob(jobs, name)) throw new ConflictError(`Template ${name} is already being imported`);
+    jobs[job.id] = job;
+  });
+  events.emit(job.id, job);
+
+  // Progress arrives per chunk; only store changes, in order
+  let pending = Promise.resolve();
+  const onProgress = (state, { percent = null } = {}) => {
+    if (state === job.state && percent === job.percent) return;
+    Object.assign(job, { state, percent, updatedAt: new Date().toISOString() });
+    const snapshot = { ...job };
+    pending = pending.then(() => saveJob(snapshot));
+  };
+
+  const params = { template: name, format, originalName };
+  audited('template.import', { params }, async () => {
+    await backend().importTemplateImage(name, { localFile, format, jobId: job.id, onProgress });
+    await backend().writeTemplateMetadata(name, initialMetadata);
+  })
+    .then(async () => {
+      await pending;
+      await saveJob(Object.assign(job, { state: 'done', percent: 100, updatedAt: new Date().toISOString() }));
+    })
+    .catch(async (e) => {
+      await pending.catch(() => {});
+      await saveJob(
+        Object.assign(job, { state: 'failed', error: String(e?.message || e), updatedAt: new Date().toISOString() })
+      );
+    })
+    .catch((e) => console.error(`[TEMPLATE] Job ${job.id}: ${e.message}`))
+    .finally(() => fs.unlink(localFile).catch(() => {}));
+
+  return job;
+}
+
+// Recent import jobs, newest first
+export async function listTemplateJobs() {
+  await recoverInterruptedJobs();
+  return Object.values(await readJson(JOBS_FILE, {})).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function getTemplateJob(jobId) {
+  await recoverInterruptedJobs();
+  const job = (await readJson(JOBS_FILE, {}))[jobId];
+  if (!job) throw new NotFoundError(`Job ${jobId} not found`);
+  return job;
+}
+
+// Subscribe to updates of a job; returns an unsubscribe function
+export function subscribeTemplateJob(jobId, listener) {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+}
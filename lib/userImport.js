@@ -0,0 +1,270 @@
+// lib/userImport.js
+// Plan and run a bulk user import (shared by the dry run and the real import)
+
+import { expireToIso, getRealm, proxmoxCreateUser, proxmoxListUsers, toExpireEpoch } from './proxmoxApi';
+import { assertGroupid, assertRoleid, assertUsername } from './shellCommand';
+import { ensureCohort, getDefaultCohortRole, listCohorts, listRoleIds } from './cohorts';
+import { generatePassword } from './passwords';
+import { sendWelcomeEmail } from './mailer';
+import { recordAudit } from './audit';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// password is optional: empty passwords are generated
+export const REQUIRED_COLUMNS = ['first_name', 'last_name'];
+
+function normalize(s) {
+  return String(s || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function buildBaseUsername(firstName, lastName) {
+  const f = normalize(firstName);
+  const l = normalize(lastName);
+  if (!f || !l) return '';
+  return `${f[0]}${l}`; // optie 2
+}
+
+// Characters that normalize() drops, e.g. accents in "José"
+function droppedCharacters(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[a-z0-9\s'.-]/g, '');
+}
+
+// Work out what importing each row would do, without creating anything.
+// Rows may carry a "username" to override the generated one.
+// With cohorts (a teacher's import), every row must name one of those groups and no role.
+export async function planImport(rows, { cohorts = null } = {}) {
+  const realm = getRealm();
+
+  // bestaande users ophalen voor duplicate check
+  const existingUsers = await proxmoxListUsers();
+  const existingIds = new Set(existingUsers.map((u) => u.userid));
+  const plannedIds = new Map(); // userid -> row number in this import
+
+  // Groups and roles are only looked up when the file uses them
+  const usesGroups = rows.some((r) => String(r.group || '').trim());
+  const existingGroups = new Set(usesGroups ? (await listCohorts()).map((c) => c.groupid) : []);
+  const roleIds = new Set(rows.some((r) => String(r.role || '').trim()) ? await listRoleIds() : []);
+  const groupRoles = new Map(); // group -> { role, row } of the first row that named a role
+
+  return rows.map((row) => {
+    const firstName = String(row.first_name || '').trim();
+    const lastName = String(row.last_name || '').trim();
+    const password = String(row.password || '').trim();
+    const email = String(row.email || '').trim();
+    const expire = String(row.expire || '').trim();
+    const group = String(row.group || '').trim();
+    const role = String(row.role || '').trim();
+    const errors = [];
+    const warnings = [];
+
+    if (role && !group) errors.push('A role needs a group');
+    if (cohorts) {
+      if (!cohorts.includes(group)) {
+        errors.push(`Group must be one of your cohorts: ${cohorts.join(', ') || 'none'}`);
+      }
+      if (role) errors.push('Only admins can assign roles');
+    }
+    if (group) {
+      try {
+        assertGroupid(group);
+        if (!existingGroups.has(group)) warnings.push(`Group ${group} will be created`);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+    if (role && group) {
+      const earlier = groupRoles.get(group);
+      try {
+        assertRoleid(role);
+        if (!roleIds.has(role)) errors.push(`Unknown role: ${role}`);
+        else if (earlier && earlier.role !== role) {
+          errors.push(`Group ${group} already gets role ${earlier.role} in row ${earlier.row}`);
+        }
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+
+    if (email && !EMAIL_RE.test(email)) errors.push(`Invalid email address: ${email}`);
+
+    let expiresAt = null;
+    if (expire) {
+      try {
+        expiresAt = expireToIso(toExpireEpoch(expire));
+        if (Date.parse(expiresAt) < Date.now()) errors.push(`Expiry date is in the past: ${expire}`);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+
+    if (!firstName || !lastName) errors.push('Missing first_name or last_name');
+    if (!password) warnings.push('A password will be generated');
+    else if (password.length < 8) errors.push('Password must be at least 8 characters');
+
+    let username = '';
+    const override = String(row.username || '').trim();
+
+    if (override) {
+      try {
+        username = assertUsername(override);
+      } catch (e) {
+        errors.push(e.message);
+      }
+      if (username && existingIds.has(`${username}@${realm}`)) {
+        errors.push(`User ${username}@${realm} already exists`);
+      } else if (username && plannedIds.has(`${username}@${realm}`)) {
+        errors.push(`Username also used in row ${plannedIds.get(`${username}@${realm}`)}`);
+      }
+    } else if (firstName && lastName) {
+      const base = buildBaseUsername(firstName, lastName);
+      if (!base) {
+        errors.push('Invalid name values');
+      } else {
+        username = base;
+        let counter = 1;
+        const taken = (name) => existingIds.has(`${name}@${realm}`) || plannedIds.has(`${name}@${realm}`);
+        while (taken(username)) {
+          username = `${base}${counter++}`;
+        }
+        if (existingIds.has(`${base}@${realm}`)) {
+          warnings.push(`${base}@${realm} already exists; using ${username}`);
+        } else if (plannedIds.has(`${base}@${realm}`)) {
+          warnings.push(`Same username as row ${plannedIds.get(`${base}@${realm}`)}; using ${username}`);
+        }
+        const dropped = droppedCharacters(`${firstName}${lastName}`);
+        if (dropped) warnings.push(`Characters left out of the username: ${[...new Set(dropped)].join(' ')}`);
+      }
+    }
+
+    const userid = username ? `${username}@${realm}` : null;
+    if (userid && errors.length === 0) {
+      plannedIds.set(userid, row.row);
+      if (role && !groupRoles.has(group)) groupRoles.set(group, { role, row: row.row });
+    }
+
+    return {
+      row: row.row,
+      firstName,
+      lastName,
+      password,
+      email,
+      expire,
+      expiresAt,
+      group,
+      role,
+      fullName: `${firstName} ${lastName}`.trim(),
+      userid,
+      ok: errors.length === 0,
+      errors,
+      warnings,
+    };
+  });
+}
+
+// Create the users of a plan; rows with errors are reported, not created.
+// Returns the results plus the initial credentials of every created user, which
+// are handed to the admin once and never stored.
+// With sendWelcome, users that have an email address get a welcome email.
+// Groups are set up (group, pool, ACL) once, before their first member is created.
+export async function runImport(plan, { sendWelcome = false, loginUrl = '' } = {}) {
+  const results = [];
+  const credentials = [];
+
+  // group -> role: the first role named for it, else the default cohort role
+  const cohortRoles = new Map();
+  for (const p of plan) {
+    if (p.ok && p.group && p.role && !cohortRoles.has(p.group)) cohortRoles.set(p.group, p.role);
+  }
+  const cohorts = new Map(); // group -> Promise of the ensureCohort result
+  const setupCohort = (group) => {
+    if (!cohorts.has(group)) {
+      const role = cohortRoles.get(group) || getDefaultCohortRole();
+      cohorts.set(group, ensureCohort(group, { role }));
+    }
+    return cohorts.get(group);
+  };
+
+  for (const p of plan) {
+    const base = { row: p.row, userid: p.userid || undefined, warnings: p.warnings };
+
+    if (!p.ok) {
+      results.push({ ...base, ok: false, error: p.errors.join('; ') });
+      continue;
+    }
+
+    if (p.group) {
+      try {
+        await setupCohort(p.group);
+      } catch (e) {
+        results.push({ ...base, ok: false, error: `Could not set up group ${p.group}: ${e?.message || e}` });
+        continue;
+      }
+    }
+
+    const generated = !p.password;
+    const password = p.password || generatePassword();
+
+    try {
+      await proxmoxCreateUser({
+        userid: p.userid,
+        fullName: p.fullName,
+        password,
+        email: p.email,
+        expire: p.expire,
+        groups: p.group ? [p.group] : [],
+      });
+    } catch (e) {
+      results.push({ ...base, ok: false, error: String(e?.message || e) });
+      continue;
+    }
+
+    const username = p.userid.split('@')[0];
+    const result = {
+      ...base,
+      ok: true,
+      fullName: p.fullName,
+      email: p.email,
+      expiresAt: p.expiresAt,
+      group: p.group || undefined,
+      generatedPassword: generated,
+    };
+    credentials.push({ userid: p.userid, username, fullName: p.fullName, email: p.email, password });
+
+    if (sendWelcome && p.email) {
+      try {
+        await sendWelcomeEmail({ to: p.email, fullName: p.fullName, username, password, loginUrl });
+        result.emailSent = true;
+      } catch (e) {
+        // The account exists either way; report the mail problem next to it
+        result.emailSent = false;
+        result.emailError = String(e?.message || e);
+      }
+    }
+    results.push(result);
+  }
+
+  const cohortResults = [];
+  for (const [group, pending] of cohorts) {
+    try {
+      cohortResults.push({ ok: true, ...(await pending) });
+    } catch (e) {
+      cohortResults.push({ ok: false, groupid: group, error: String(e?.message || e) });
+    }
+  }
+
+  const success = results.filter((r) => r.ok).length;
+  await recordAudit({
+    action: 'users.import',
+    params: { total: results.length, success, failed: results.length - success, sendWelcome },
+    result: success === results.length ? 'success' : 'failure',
+  });
+
+  return { results, credentials, cohorts: cohortResults };
+}
+
+
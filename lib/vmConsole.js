@@ -0,0 +1,170 @@
+// lib/vmConsole.js
+// Browser console for deployed VMs: PVE vncproxy/termproxy tickets relayed over a WebSocket
+
+import crypto from 'crypto';
+import WebSocket, { WebSocketServer } from 'ws';
+import { backend } from './proxmoxBackend';
+import { getNode, pveRequest, pveWebSocketTarget, seg } from './proxmoxRest';
+import { getDeployedVMMetadata, vmOwner } from './proxmoxApi';
+import { getSession } from './session';
+import { ROLES } from './roles';
+import { ConflictError } from './errors';
+import { CommandArgumentError, assertVmid } from './shellCommand';
+import { audited, recordAudit } from './audit';
+
+// Path the browser opens the WebSocket on; handled by the relay, not by a page
+export const CONSOLE_WS_PATH = '/api/vms/console-ws';
+// PVE only waits ~10 seconds for the proxy connection, so tickets are short-lived and single-use
+const CONSOLE_TICKET_TTL = 30 * 1000;
+// termproxy drops idle connections; PVE's own client pings every 30 seconds
+const SERIAL_PING_INTERVAL = 30 * 1000;
+
+export const CONSOLE_TYPES = ['vnc', 'serial'];
+
+// token -> pending console connection; shared across hot reloads
+const pending = (globalThis.__consoleTickets ||= new Map());
+
+function purgeExpired() {
+  const now = Date.now();
+  for (const [token, entry] of pending) {
+    if (entry.expiresAt <= now) pending.delete(token);
+  }
+}
+
+// VMs whose template has no graphics use the serial console (vga: serial0)
+function defaultConsoleType(config) {
+  return /^serial/.test(String(config.vga || '')) ? 'serial' : 'vnc';
+}
+
+// Open a console on a deployed VM for a signed-in session. Owners get their own VMs,
+// admins any deployed VM. Resolves with what the viewer needs to connect; the password
+// (PVE's VNC ticket) is only set for VNC, the serial login happens in the relay.
+export async function openVMConsole(vmid, session, { type } = {}) {
+  vmid = assertVmid(vmid);
+  if (type !== undefined && !CONSOLE_TYPES.includes(type)) {
+    throw new CommandArgumentError(`Invalid console type: ${type}`);
+  }
+  const isAdmin = session.role === ROLES.ADMIN;
+  const metadata = await getDeployedVMMetadata(vmid, isAdmin ? undefined : session.username);
+
+  const config = await backend().getVMConfig(vmid);
+  type = type || defaultConsoleType(config);
+  if (type === 'serial' && !config.serial0) {
+    throw new ConflictError(`VM ${vmid} has no serial port`);
+  }
+  if ((await backend().getVMRunState(vmid)) !== 'running') {
+    throw new ConflictError(`VM ${vmid} is not running`);
+  }
+
+  return audited('vm.console', { vmid, userid: vmOwner(metadata), params: { type } }, async () => {
+    const base = `/nodes/${seg(getNode())}/qemu/${vmid}`;
+    const proxy =
+      type === 'serial'
+        ? await pveRequest('POST', `${base}/termproxy`, { serial: 'serial0' })
+        : await pveRequest('POST', `${base}/vncproxy`, { websocket: 1 });
+
+    purgeExpired();
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = Date.now() + CONSOLE_TICKET_TTL;
+    pending.set(token, {
+      vmid,
+      type,
+      port: proxy.port,
+      ticket: proxy.ticket,
+      user: proxy.user,
+      userid: session.userid,
+      expiresAt,
+    });
+
+    return {
+      vmid,
+      type,
+      url: `${CONSOLE_WS_PATH}?token=${encodeURIComponent(token)}`,
+      password: type === 'vnc' ? proxy.ticket : undefined,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+  });
+}
+
+// Take a pending console for a connecting browser; null if unknown, expired or opened by someone else
+function takeConsole(token, session) {
+  purgeExpired();
+  const entry = pending.get(token);
+  if (!entry) return null;
+  pending.delete(token);
+  if (!session || session.userid !== entry.userid) return null;
+  return entry;
+}
+
+function reject(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Pipe the browser's WebSocket to PVE's vncwebsocket for this console
+function relay(client, entry) {
+  const { url, options } = pveWebSocketTarget(`/nodes/${seg(getNode())}/qemu/${entry.vmid}/vncwebsocket`, {
+    port: entry.port,
+    vncticket: entry.ticket,
+  });
+  const upstream = new WebSocket(url, ['binary'], options);
+  // termproxy answers the login line with "OK" before the terminal stream starts
+  let awaitingLogin = entry.type === 'serial';
+  let ping;
+
+  upstream.on('open', () => {
+    if (entry.type === 'serial') {
+      upstream.send(`${entry.user}:${entry.ticket}\n`);
+      ping = setInterval(() => upstream.readyState === WebSocket.OPEN && upstream.send('2'), SERIAL_PING_INTERVAL);
+    }
+  });
+  upstream.on('message', (data, isBinary) => {
+    if (awaitingLogin) {
+      awaitingLogin = false;
+      if (String(data).startsWith('OK')) return;
+    }
+    if (client.readyState === WebSocket.OPEN) client.send(data, { binary: isBinary });
+  });
+  client.on('message', (data, isBinary) => {
+    if (upstream.readyState === WebSocket.OPEN) upstream.send(data, { binary: isBinary });
+  });
+
+  const close = () => {
+    clearInterval(ping);
+    if (client.readyState !== WebSocket.CLOSED) client.close();
+    if (upstream.readyState !== WebSocket.CLOSED) upstream.terminate();
+  };
+  upstream.on('close', close);
+  upstream.on('error', (e) => {
+    console.error(`[CONSOLE] VM ${entry.vmid}: ${e.message}`);
+    close();
+  });
+  client.on('close', close);
+  client.on('error', close);
+}
+
+// Handle console WebSocket upgrades on the Next.js HTTP server. API routes call this
+// with res.socket.server; it only attaches once.
+export function attachConsoleRelay(server) {
+  if (!server || server.__consoleRelay) return;
+  const wss = new WebSocketServer({ noServer: true });
+  server.__consoleRelay = wss;
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== CONSOLE_WS_PATH) return;
+
+    const session = getSession(req);
+    const entry = takeConsole(url.searchParams.get('token') || '', session);
+    if (!entry) {
+      recordAudit({
+        action: 'vm.console',
+        userid: session?.userid,
+        result: 'failure',
+        error: 'Invalid or expired console token',
+      });
+      return reject(socket, 401, 'Unauthorized');
+    }
+    wss.handleUpgrade(req, socket, head, (client) => relay(client, entry));
+  });
+}
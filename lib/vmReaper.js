@@ -0,0 +1,42 @@
+// lib/vmReaper.js
+// Background job that warns about and removes expired lab VMs
+
+import { listDeployedVMs, stopVM, updateVMMetadata } from './proxmoxApi';
+import { startInterval } from './scheduler';
+
+const REAPER_INTERVAL = parseInt(process.env.VM_REAPER_INTERVAL_SECONDS || '60', 10) * 1000;
+const WARNING_MINUTES = parseInt(process.env.VM_EXPIRY_WARNING_MINUTES || '15', 10);
+
+// Check every deployed VM once: warn when it is about to expire, destroy it when it has
+export async function reapExpiredVMs() {
+  const now = Date.now();
+  const results = [];
+
+  for (const vm of await listDeployedVMs()) {
+    const expiresAt = Date.parse(vm.expiresAt);
+    if (Number.isNaN(expiresAt)) continue;
+
+    try {
+      if (expiresAt <= now) {
+        console.log(`[REAPER] VM ${vm.vmid} (${vm.username}) expired at ${vm.expiresAt}`);
+        await stopVM(vm.vmid, vm.username);
+        results.push({ vmid: vm.vmid, action: 'destroyed' });
+      } else if (!vm.warnedAt && expiresAt - now <= WARNING_MINUTES * 60 * 1000) {
+        // warnedAt is stored with the VM so the portal can show the warning
+        console.log(`[REAPER] VM ${vm.vmid} (${vm.username}) expires at ${vm.expiresAt}`);
+        await updateVMMetadata(vm.vmid, { warnedAt: new Date(now).toISOString() });
+        results.push({ vmid: vm.vmid, action: 'warned' });
+      }
+    } catch (e) {
+      console.error(`[REAPER] VM ${vm.vmid}: ${e.message}`);
+      results.push({ vmid: vm.vmid, action: 'error', error: e.message });
+    }
+  }
+
+  return results;
+}
+
+// Start the reaper (once per process)
+export function startVMReaper() {
+  startInterval('REAPER', REAPER_INTERVAL, reapExpiredVMs);
+}
@@ -0,0 +1,87 @@
+// lib/vmidAllocator.js
+// Race-free VMID allocation from configurable ranges per purpose
+
+import { backend } from './proxmoxBackend';
+import { ConflictError } from './errors';
+
+// "purpose:min-max" pairs, e.g. "lab:2000-9999,infra:100-1999"
+const VMID_RANGES = process.env.VMID_RANGES || 'lab:2000-9999';
+// A reservation is dropped if qm create never confirms it
+const RESERVATION_TTL = 10 * 60 * 1000;
+
+// vmid -> reservation expiry; shared across hot reloads
+const reservations = (globalThis.__vmidReservations ||= new Map());
+// Allocations run one at a time so two deploys never pick the same candidate; the
+// queue is shared across hot reloads along with the reservations
+const allocationLock = (globalThis.__vmidAllocationLock ||= { tail: Promise.resolve() });
+
+function parseRanges(spec) {
+  const ranges = {};
+  for (const part of spec.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const match = part.match(/^([a-z0-9_-]+):(\d+)-(\d+)$/i);
+    if (!match) throw new Error(`Invalid VMID_RANGES entry: ${part}`);
+    const [, purpose, min, max] = match;
+    ranges[purpose] = { min: Number(min), max: Number(max) };
+  }
+  return ranges;
+}
+
+// Get the VMID range for a purpose
+export function getVmidRange(purpose) {
+  const range = parseRanges(VMID_RANGES)[purpose];
+  if (!range) throw new Error(`No VMID range configured for "${purpose}"`);
+  return range;
+}
+
+function purgeExpiredReservations() {
+  const now = Date.now();
+  for (const [vmid, expiresAt] of reservations) {
+    if (expiresAt <= now) reservations.delete(vmid);
+  }
+}
+
+async function allocate(purpose) {
+  const { min, max } = getVmidRange(purpose);
+  const pve = backend();
+  purgeExpiredReservations();
+
+  const used = new Set(await pve.listUsedVmids());
+  const isCandidate = (vmid) => vmid >= min && vmid <= max && !used.has(vmid) && !reservations.has(vmid);
+
+  // Start with the cluster's own suggestion when it falls inside the range
+  const candidates = [];
+  try {
+    const hint = await pve.nextVmid();
+    if (isCandidate(hint)) candidates.push(hint);
+  } catch {}
+
+  for (let vmid = min; vmid <= max; vmid++) {
+    if (isCandidate(vmid)) {
+      candidates.push(vmid);
+      if (candidates.length >= 20) break;
+    }
+  }
+
+  for (const vmid of candidates) {
+    try {
+      // The cluster has the final word (it also knows about VMs we did not list)
+      await pve.checkVmidFree(vmid);
+    } catch {
+      continue;
+    }
+    reservations.set(vmid, Date.now() + RESERVATION_TTL);
+    return vmid;
+  }
+
+  throw new ConflictError(`No free VMID left in the ${purpose} range (${min}-${max})`);
+}
+
+// Reserve a free VMID. Call release() once qm create succeeded or the deployment failed.
+export function allocateVmid(purpose = 'lab') {
+  const result = allocationLock.tail.then(() => allocate(purpose));
+  allocationLock.tail = result.catch(() => {});
+  return result.then((vmid) => ({
+    vmid,
+    release: () => reservations.delete(vmid),
+  }));
+}
@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAdminAuth } from '../lib/AdminAuthCheck';
+
+const PAGE_SIZE = 100;
+const EMPTY_FILTERS = { from: '', to: '', actor: '', action: '', userid: '', vmid: '', result: '', q: '' };
+
+export default function AdminAuditPage() {
+  const { isAuthenticated, loading: authLoading, logout } = useAdminAuth();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    if (isAuthenticated) load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isAuthenticated, applied, offset]);
+
+  const queryString = (extra = {}) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...applied, ...extra })) {
+      if (value !== '' && value !== undefined) params.set(key, value);
+    }
+    return params.toString();
+  };
+
+  async function load() {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await fetch(`/api/audit?${queryString({ limit: PAGE_SIZE, offset })}`, { cache: 'no-store' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || 'Failed to load the audit log');
+      setEntries(data.entries || []);
+      setTotal(data.total || 0);
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (authLoading) {
+    return <div className="container pt-12">Loading...</div>;
+  }
+
+  if (!isAuthenticated) {
+    return null;
+  }
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setApplied(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  const filterInput = (key, label, props = {}) => (
+    <label className="text-sm">
+      {label}{' '}
+      <input
+        className="form-input"
+        style={{ maxWidth: 180 }}
+        value={filters[key]}
+        onChange={(e) => setFilters((f) => ({ ...f, [key]: e.target.value }))}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <>
+      <header className="site-header">
+        <div className="header-inner">
+          <Link href="/" className="brand">
+            Narrekappe<span className="accent">.</span>
+          </Link>
+          <nav className="main-nav">
+            <Link href="/">Home</Link>
+            <Link href="/admin-import-users">Users</Link>
+            <Link href="/admin-templates">Templates</Link>
+            <Link href="/admin-monitoring">Monitoring</Link>
+            <button onClick={logout} className="btn btn-ghost btn-sm">Logout</button>
+          </nav>
+        </div>
+      </header>
+
+      <main className="container py-8">
+        <h1 className="text-4xl font-bold mb-2">Audit log</h1>
+        <p className="muted mb-6">Account and VM operations by admins, students and scheduled jobs</p>
+
+        <form className="card mb-6" onSubmit={applyFilters}>
+          <div className="flex items-center gap-3 flex-wrap">
+            {filterInput('from', 'From', { type: 'date' })}
+            {filterInput('to', 'To', { type: 'date' })}
+            {filterInput('actor', 'Actor', { placeholder: 'jdoe@pve' })}
+            {filterInput('action', 'Action', { placeholder: 'user. or vm.deploy' })}
+            {filterInput('userid', 'User', { placeholder: 'jdoe@pve' })}
+            {filterInput('vmid', 'VMID')}
+            <label className="text-sm">
+              Result{' '}
+              <select
+                className="form-input"
+                value={filters.result}
+                onChange={(e) => setFilters((f) => ({ ...f, result: e.target.value }))}
+              >
+                <option value="">Any</option>
+                <option value="success">Success</option>
+                <option value="failure">Failure</option>
+              </select>
+            </label>
+            {filterInput('q', 'Text')}
+          </div>
+          <div className="flex gap-3 flex-wrap" style={{ marginTop: 12 }}>
+            <button type="submit" className="btn btn-sm" disabled={loading}>
+              Apply filters
+            </button>
+            <button type="button" className="btn btn-sm btn-ghost" onClick={resetFilters} disabled={loading}>
+              Reset
+            </button>
+            <a className="btn btn-sm btn-ghost" href={`/api/audit?${queryString({ format: 'csv' })}`}>
+              Export CSV
+            </a>
+          </div>
+        </form>
+
+        <section className="card">
+          {error && <div className="p-4 bg-red-100 text-red-700 rounded mb-4">{error}</div>}
+
+          <div className="flex items-center justify-between gap-3 flex-wrap mb-4">
+            <span className="text-sm text-narrek-muted">
+              {total === 0 ? 'No entries' : `${offset + 1}–${Math.min(offset + PAGE_SIZE, total)} of ${total}`}
+            </span>
+            <div className="flex gap-3">
+              <button
+                className="btn btn-sm btn-ghost"
+                type="button"
+                onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                disabled={loading || offset === 0}
+              >
+                Newer
+              </button>
+              <button
+                className="btn btn-sm btn-ghost"
+                type="button"
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+                disabled={loading || offset + PAGE_SIZE >= total}
+              >
+                Older
+              </button>
+            </div>
+          </div>
+
+          <div style={{ overflowX: 'auto' }}>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-narrek-muted">
+                  <th className="text-left py-3">Time</th>
+                  <th className="text-left py-3">Actor</th>
+                  <th className="text-left py-3">Action</th>
+                  <th className="text-left py-3">Target</th>
+                  <th className="text-left py-3">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.length === 0 ? (
+                  <tr>
+                    <td colSpan={5} className="py-3 text-narrek-muted">
+                      {loading ? 'Loading…' : 'No entries match these filters.'}
+                    </td>
+                  </tr>
+                ) : (
+                  entries.map((e) => (
+                    <tr
+                      key={e.id}
+                      className="border-t border-white/5"
+                      onClick={() => setExpanded(expanded === e.id ? null : e.id)}
+                      style={{ cursor: 'pointer', verticalAlign: 'top' }}
+                    >
+                      <td className="py-2 text-narrek-muted">{new Date(e.timestamp).toLocaleString()}</td>
+                      <td className="py-2 font-mono">
+                        {e.actor}
+                        {e.ip && <div className="text-xs text-narrek-muted">{e.ip}</div>}
+                      </td>
+                      <td className="py-2 font-mono">{e.action}</td>
+                      <td className="py-2 font-mono">
+                        {[e.userid, e.vmid && `VM ${e.vmid}`].filter(Boolean).join(' – ') || '-'}
+                        {expanded === e.id && e.params && (
+                          <pre className="text-xs" style={{ whiteSpace: 'pre-wrap', marginTop: 8 }}>
+                            {JSON.stringify(e.params, null, 2)}
+                          </pre>
+                        )}
+                      </td>
+                      <td className="py-2">
+                        <span className={`status-badge ${e.result === 'success' ? 'status-running' : 'status-stopped'}`}>
+                          {e.result === 'success' ? '✓ Success' : '✗ Failure'}
+                        </span>
+                        {e.error && <div className="text-xs text-red-600">{e.error}</div>}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </main>
+
+      <footer className="site-footer">
+        <div className="footer-inner">
+          <p>© 2025 Narrekappe B.V. – Admin Dashboard</p>
+        </div>
+      </footer>
+    </>
+  );
+}
@@ -1,18 +1,39 @@
-import { useState, useMemo, useEffect } from 'react';
+import { Fragment, useState, useMemo, useEffect } from 'react';
 import Link from 'next/link';
 import { useAdminAuth } from '../lib/AdminAuthCheck';
+import { csvField } from '../lib/csvExport';
 
 export default function AdminImportUsersPage() {
   const { isAuthenticated, loading: authLoading, logout } = useAdminAuth();
   const [csvText, setCsvText] = useState('');
+  const [xlsxData, setXlsxData] = useState(null);
   const [file, setFile] = useState(null);
   const [importing, setImporting] = useState(false);
   const [results, setResults] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [sendWelcomeEmail, setSendWelcomeEmail] = useState(false);
   const [error, setError] = useState('');
   const [users, setUsers] = useState([]);
   const [query, setQuery] = useState('');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
+  const [offboardTarget, setOffboardTarget] = useState(null);
+  const [offboardArchive, setOffboardArchive] = useState('none');
+  const [offboardGraceDays, setOffboardGraceDays] = useState('14');
+  const [offboardReport, setOffboardReport] = useState(null);
+  const [pendingDeletions, setPendingDeletions] = useState([]);
+  const [editTarget, setEditTarget] = useState(null);
+  const [editForm, setEditForm] = useState(null);
+  const [resetResult, setResetResult] = useState(null);
+  const [groups, setGroups] = useState([]);
+  const [defaultRole, setDefaultRole] = useState('');
+  const [openGroup, setOpenGroup] = useState(null);
+  const [newGroup, setNewGroup] = useState({ groupid: '', role: '' });
+  const [selectedUsers, setSelectedUsers] = useState([]);
+  const [bulkAction, setBulkAction] = useState('disable');
+  const [bulkConfirm, setBulkConfirm] = useState(null); // { phrase, typed }
+  const [bulkUnmatched, setBulkUnmatched] = useState([]);
+  const [bulkReport, setBulkReport] = useState(null);
 
 useEffect(() => {
   if (isAuthenticated) refresh();
@@ -37,6 +58,17 @@ useEffect(() => {
       const data = await res.json();
       if (!res.ok) throw new Error(data?.error || 'Failed to load users');
       setUsers(data.users || []);
+
+      const pendingRes = await fetch(`/api/proxmox/offboard?ts=${Date.now()}`, { cache: 'no-store' });
+      const pendingData = await pendingRes.json();
+      if (pendingRes.ok) setPendingDeletions(pendingData.pending || []);
+
+      const groupsRes = await fetch(`/api/proxmox/groups?ts=${Date.now()}`, { cache: 'no-store' });
+      const groupsData = await groupsRes.json();
+      if (groupsRes.ok) {
+        setGroups(groupsData.groups || []);
+        setDefaultRole(groupsData.defaultRole || '');
+      }
     } catch (e) {
       setMessage({ type: 'error', text: String(e?.message || e) });
     } finally {
@@ -57,17 +89,64 @@ useEffect(() => {
     if (!uploadedFile) return;
 
     setFile(uploadedFile);
+    setPreview(null);
     const reader = new FileReader();
-    
+
+    // Excel workbooks are sent as base64 and parsed on the server
+    if (/\.xlsx$/i.test(uploadedFile.name)) {
+      reader.onload = (event) => {
+        const bytes = new Uint8Array(event.target.result);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        setXlsxData(window.btoa(binary));
+        setCsvText('');
+      };
+      reader.readAsArrayBuffer(uploadedFile);
+      return;
+    }
+
     reader.onload = (event) => {
+      setXlsxData(null);
       setCsvText(event.target.result);
     };
     
     reader.readAsText(uploadedFile);
   };
 
-  const handleImport = async () => {
-    if (!csvText.trim()) {
+  // Turn a dry-run plan into editable preview rows, keeping earlier edits' selection
+  const toPreviewRows = (plan, previous = []) =>
+    plan.map((p) => {
+      const before = previous.find((r) => r.row === p.row);
+      return {
+        row: p.row,
+        first_name: p.firstName,
+        last_name: p.lastName,
+        password: p.password,
+        email: p.email,
+        expire: p.expire,
+        group: p.group,
+        role: p.role,
+        username: before?.username || '',
+        plannedUserid: p.userid,
+        errors: p.errors,
+        warnings: p.warnings,
+        selected: p.ok && (before ? before.selected : true),
+      };
+    });
+
+  const requestPlan = async (payload) => {
+    const response = await fetch('/api/proxmox/import-users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...payload, dryRun: true }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Preview failed');
+    return data.plan;
+  };
+
+  const handlePreview = async () => {
+    if (!csvText.trim() && !xlsxData) {
       setError('Please provide CSV data');
       return;
     }
@@ -76,11 +155,70 @@ useEffect(() => {
     setError('');
     setResults(null);
 
+    try {
+      const plan = await requestPlan(xlsxData ? { xlsx: xlsxData } : { csv: csvText });
+      setPreview(toPreviewRows(plan));
+    } catch (err) {
+      setError(`Error: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const editablePayload = (rows) =>
+    rows.map(({ row, first_name, last_name, password, email, expire, group, role, username }) => ({
+      row,
+      first_name,
+      last_name,
+      password,
+      email,
+      expire,
+      group,
+      role,
+      username,
+    }));
+
+  const recheckPreview = async () => {
+    setImporting(true);
+    setError('');
+    try {
+      const plan = await requestPlan({ rows: editablePayload(preview) });
+      setPreview(toPreviewRows(plan, preview));
+    } catch (err) {
+      setError(`Error: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const updatePreviewRow = (row, field, value) => {
+    setPreview((rows) => rows.map((r) => (r.row === row ? { ...r, [field]: value } : r)));
+  };
+
+  const handleImport = async () => {
+    const selected = (preview || []).filter((r) => r.selected);
+    if (selected.length === 0) {
+      setError('Select at least one row to import');
+      return;
+    }
+
+    setImporting(true);
+    setError('');
+    setResults(null);
+
     try {
       const response = await fetch('/api/proxmox/import-users', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ csv: csvText }),
+        // Pin generated usernames to the previewed ones; the server would otherwise number
+        // collisions again among only the selected rows
+        body: JSON.stringify({
+          rows: editablePayload(selected).map((r, i) => ({
+            ...r,
+            username: r.username || selected[i].plannedUserid?.split('@')[0] || '',
+          })),
+          sendWelcomeEmail,
+        }),
       });
 
       const data = await response.json();
@@ -89,7 +227,9 @@ useEffect(() => {
         await refresh();
 setMessage({ type: 'success', text: 'Import completed and user list refreshed.' });
         setResults(data);
+        setPreview(null);
         setCsvText('');
+        setXlsxData(null);
         setFile(null);
       } else {
         setError(data.error || 'Import failed');
@@ -101,8 +241,62 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
     }
   };
 
+  const escapeHtml = (value) =>
+    String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+  const downloadCredentialsCsv = () => {
+    const lines = [['full_name', 'username', 'password', 'login_url']]
+      .concat(results.credentials.map((c) => [c.fullName, c.username, c.password, results.loginUrl]))
+      .map((cols) => cols.map(csvField).join(','));
+    const blob = new Blob([lines.join('\r\n')], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'user_credentials.csv';
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const printCredentialsHandout = () => {
+    const pages = results.credentials
+      .map(
+        (c) => `<section>
+  <h1>Narrekappe lab account</h1>
+  <p class="name">${escapeHtml(c.fullName)}</p>
+  <table>
+    <tr><th>Login</th><td>${escapeHtml(results.loginUrl)}</td></tr>
+    <tr><th>Username</th><td>${escapeHtml(c.username)}</td></tr>
+    <tr><th>Initial password</th><td>${escapeHtml(c.password)}</td></tr>
+  </table>
+  <p class="hint">Keep this sheet private.</p>
+</section>`
+      )
+      .join('\n');
+    const win = window.open('', '_blank');
+    if (!win) {
+      setMessage({ type: 'error', text: 'Allow pop-ups to print the handout.' });
+      return;
+    }
+    win.document.write(`<!doctype html><html><head><title>Account handout</title><style>
+body { font-family: sans-serif; margin: 0; }
+section { padding: 48px; page-break-after: always; }
+h1 { font-size: 22px; } .name { font-size: 18px; font-weight: bold; }
+table { border-collapse: collapse; margin-top: 16px; }
+th, td { text-align: left; padding: 8px 16px 8px 0; font-size: 16px; }
+td { font-family: monospace; font-size: 18px; } .hint { color: #666; margin-top: 24px; }
+</style></head><body>${pages}</body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  const discardCredentials = () => {
+    setResults((r) => (r ? { ...r, credentials: [] } : r));
+  };
+
   const downloadTemplate = () => {
-    const template = 'first_name,last_name,password\nJohn,Doe,password123\nJane,Smith,securepass456';
+    const template =
+      'first_name,last_name,password,email,expire,group,role\nJohn,Doe,,john.doe@example.com,2026-07-01,klas1a,\nJane,Smith,,,,klas1a,';
     const blob = new Blob([template], { type: 'text/csv' });
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -136,6 +330,239 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
     }
   };
 
+  // PATCH a user and refresh the overview; returns the response body
+  async function patchUser(payload, successText) {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/proxmox/users', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || 'Failed to update user');
+      setMessage({ type: 'success', text: successText });
+      await refresh();
+      return data;
+    } catch (e) {
+      setMessage({ type: 'error', text: String(e?.message || e) });
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function toggleEnabled(user) {
+    const enabled = !user.enabled;
+    return patchUser(
+      { userid: user.userid, enabled },
+      `${enabled ? 'Enabled' : 'Disabled'}: ${user.userid}`
+    );
+  }
+
+  function openEdit(user) {
+    setEditTarget(user);
+    setResetResult(null);
+    setEditForm({
+      fullName: user.fullName || '',
+      email: user.email || '',
+      // <input type="date"> wants YYYY-MM-DD in local time
+      expiresAt: user.expiresAt ? new Date(user.expiresAt).toLocaleDateString('sv-SE') : '',
+      enabled: user.enabled,
+    });
+  }
+
+  async function saveEdit() {
+    if (!editTarget || !editForm) return;
+    const data = await patchUser(
+      {
+        userid: editTarget.userid,
+        fullName: editForm.fullName,
+        email: editForm.email,
+        expiresAt: editForm.expiresAt || null,
+        enabled: editForm.enabled,
+      },
+      `User updated: ${editTarget.userid}`
+    );
+    if (data) setEditTarget(null);
+  }
+
+  async function resetPassword() {
+    if (!editTarget) return;
+    const ok = confirm(`Generate a new password for ${editTarget.userid}? The old password stops working.`);
+    if (!ok) return;
+    const data = await patchUser(
+      { userid: editTarget.userid, resetPassword: true },
+      `Password reset: ${editTarget.userid}`
+    );
+    if (data) setResetResult({ userid: data.userid, password: data.password });
+  }
+
+  async function groupRequest(method, payload, successText) {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/proxmox/groups', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || 'Group update failed');
+      setMessage({ type: 'success', text: successText });
+      await refresh();
+      return data;
+    } catch (e) {
+      setMessage({ type: 'error', text: String(e?.message || e) });
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function createGroup() {
+    const groupid = newGroup.groupid.trim();
+    if (!groupid) return;
+    const data = await groupRequest(
+      'POST',
+      { groupid, role: newGroup.role.trim() || undefined },
+      `Group ready: ${groupid}`
+    );
+    if (data) setNewGroup({ groupid: '', role: '' });
+  }
+
+  function moveMember(userid, from, to) {
+    return groupRequest(
+      'PATCH',
+      { userid, from, to: to || undefined },
+      to ? `${userid} moved from ${from} to ${to}` : `${userid} removed from ${from}`
+    );
+  }
+
+  const toggleSelected = (userid, checked) => {
+    setSelectedUsers((sel) => (checked ? [...new Set([...sel, userid])] : sel.filter((u) => u !== userid)));
+    setBulkConfirm(null);
+  };
+
+  // Select the users named in an uploaded list (userids, usernames, emails or full names)
+  const handleBulkListUpload = (e) => {
+    const listFile = e.target.files[0];
+    if (!listFile) return;
+    e.target.value = '';
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      setLoading(true);
+      setMessage(null);
+      try {
+        const res = await fetch('/api/proxmox/bulk-users', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ resolve: String(event.target.result).split(/\r?\n/) }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || 'Could not read the list');
+        const matched = data.matches.filter((m) => m.userid).map((m) => m.userid);
+        setSelectedUsers([...new Set(matched)]);
+        setBulkUnmatched(data.matches.filter((m) => m.error));
+        setBulkConfirm(null);
+        setMessage({ type: 'success', text: `${matched.length} users selected from ${listFile.name}` });
+      } catch (err) {
+        setMessage({ type: 'error', text: String(err?.message || err) });
+      } finally {
+        setLoading(false);
+      }
+    };
+    reader.readAsText(listFile);
+  };
+
+  // Destructive actions are first answered with the phrase to type; the second call sends it
+  async function runBulk() {
+    if (selectedUsers.length === 0) return;
+    setLoading(true);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/proxmox/bulk-users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: bulkAction, userids: selectedUsers, confirm: bulkConfirm?.typed }),
+      });
+      const data = await res.json();
+      if (!res.ok && data?.confirm) {
+        setBulkConfirm({ phrase: data.confirm, typed: '' });
+        if (bulkConfirm) setMessage({ type: 'error', text: data.error });
+        return;
+      }
+      if (!res.ok) throw new Error(data?.error || 'Bulk action failed');
+      setBulkReport(data);
+      setBulkConfirm(null);
+      setSelectedUsers([]);
+      setMessage({
+        type: data.failed ? 'error' : 'success',
+        text: `${data.action}: ${data.success} succeeded, ${data.failed} failed`,
+      });
+      await refresh();
+    } catch (e) {
+      setMessage({ type: 'error', text: String(e?.message || e) });
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function runOffboarding() {
+    if (!offboardTarget) return;
+    const label = offboardTarget.email || offboardTarget.userid;
+    const ok = confirm(`Offboard ${label}? The account is disabled and all of its VMs are destroyed.`);
+    if (!ok) return;
+
+    setLoading(true);
+    setMessage(null);
+    setOffboardReport(null);
+    try {
+      const res = await fetch('/api/proxmox/offboard', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userid: offboardTarget.userid,
+          archive: offboardArchive,
+          graceDays: offboardGraceDays,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || 'Offboarding failed');
+      setOffboardReport(data);
+      setMessage({
+        type: data.ok ? 'success' : 'error',
+        text: data.ok ? `User offboarded: ${data.userid}` : `Offboarding stopped for ${data.userid}`,
+      });
+      await refresh();
+    } catch (e) {
+      setMessage({ type: 'error', text: String(e?.message || e) });
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function cancelDeletion(userid) {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/proxmox/offboard', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userid }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || 'Failed to cancel deletion');
+      setMessage({ type: 'success', text: `Deletion cancelled and account re-enabled: ${data.userid}` });
+      await refresh();
+    } catch (e) {
+      setMessage({ type: 'error', text: String(e?.message || e) });
+    } finally {
+      setLoading(false);
+    }
+  }
+
   return (
     <>
       <header className="site-header">
@@ -146,6 +573,8 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
           <nav className="main-nav">
             <Link href="/">Home</Link>
             <Link href="/admin-monitoring">Monitoring</Link>
+            <Link href="/admin-templates">Templates</Link>
+            <Link href="/admin-audit">Audit log</Link>
             <button onClick={logout} className="btn btn-ghost btn-sm">Logout</button>
           </nav>
         </div>
@@ -164,8 +593,8 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
               <h3 className="font-bold mb-2">CSV Format Required:</h3>
               <div className="bg-black-100 p-4 rounded font-mono text-sm">
                 first_name,last_name,password<br/>
-                John,Doe,password123<br/>
-                Jane,Smith,securepass456
+                John,Doe,<br/>
+                Jane,Smith,
               </div>
             </div>
 
@@ -173,7 +602,18 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
               <h3 className="font-bold mb-2">Requirements:</h3>
               <ul className="list-disc list-inside space-y-1">
                 <li>First row must be header: <code>first_name,last_name,password</code></li>
-                <li>Passwords must be at least 8 characters</li>
+                <li>Comma, semicolon (Dutch Excel) and tab separated files work, as do <code>.xlsx</code> workbooks</li>
+                <li>Headers are case-insensitive; <code>voornaam</code>, <code>achternaam</code> and <code>wachtwoord</code> are accepted too</li>
+                <li>Values containing a comma or semicolon must be quoted: <code>"Berg, van den"</code></li>
+                <li>An optional <code>email</code> column is stored on the account and used for welcome emails</li>
+                <li>
+                  Optional <code>group</code> and <code>role</code> columns put users in a cohort; missing groups are
+                  created with their own resource pool, on which the group gets the role
+                </li>
+                <li>An optional <code>expire</code> column (<code>2026-07-01</code> or <code>01-07-2026</code>) ends the account after that day</li>
+                <li>The password column is optional: leave it empty and a strong password is generated</li>
+                <li>Passwords that are given must be at least 8 characters</li>
+                <li>After the import you can download the initial passwords once, as CSV or a printable handout</li>
                 <li>Usernames will be auto-generated: first letter + last name</li>
                 <li>Example: John Doe → username: <code>jdoe</code></li>
               </ul>
@@ -194,10 +634,10 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
           <div className="space-y-4">
             {/* File Upload */}
             <div>
-              <label className="block mb-2 font-medium">Upload CSV File</label>
+              <label className="block mb-2 font-medium">Upload CSV or Excel (.xlsx) File</label>
               <input
                 type="file"
-                accept=".csv"
+                accept=".csv,.txt,.xlsx"
                 onChange={handleFileUpload}
                 className="form-input"
                 disabled={importing}
@@ -214,8 +654,11 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
               <label className="block mb-2 font-medium">Or Paste CSV Data</label>
               <textarea
                 value={csvText}
-                onChange={(e) => setCsvText(e.target.value)}
-                placeholder="first_name,last_name,password&#10;John,Doe,password123&#10;Jane,Smith,securepass456"
+                onChange={(e) => {
+                  setCsvText(e.target.value);
+                  setXlsxData(null);
+                }}
+                placeholder="first_name,last_name,password&#10;John,Doe,&#10;Jane,Smith,"
                 rows="10"
                 className="form-input font-mono text-sm"
                 disabled={importing}
@@ -229,17 +672,124 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
               </div>
             )}
 
-            {/* Import Button */}
+            {/* Preview Button */}
             <button
-              onClick={handleImport}
-              disabled={importing || !csvText.trim()}
+              onClick={handlePreview}
+              disabled={importing || (!csvText.trim() && !xlsxData)}
               className="btn w-full"
             >
-              {importing ? 'Importing...' : 'Import Users'}
+              {importing ? 'Checking...' : 'Preview Import'}
             </button>
           </div>
         </div>
 
+        {/* Preview */}
+        {preview && (
+          <div className="card mb-6">
+            <h2 className="text-2xl font-bold mb-2">Preview</h2>
+            <p className="muted mb-4">
+              Nothing has been created yet. Edit rows, re-check, then import the selected rows.
+              Leave Username empty to generate it.
+            </p>
+
+            <div className="overflow-x-auto">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>
+                      <input
+                        type="checkbox"
+                        checked={preview.length > 0 && preview.every((r) => r.selected || r.errors.length > 0)}
+                        onChange={(e) =>
+                          setPreview((rows) => rows.map((r) => ({ ...r, selected: e.target.checked && r.errors.length === 0 })))
+                        }
+                      />
+                    </th>
+                    <th>Row</th>
+                    <th>First name</th>
+                    <th>Last name</th>
+                    <th>Password</th>
+                    <th>Email</th>
+                    <th>Expires</th>
+                    <th>Group</th>
+                    <th>Role</th>
+                    <th>Username</th>
+                    <th>Planned User ID</th>
+                    <th>Messages</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((r) => (
+                    <tr key={r.row}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={r.selected}
+                          disabled={r.errors.length > 0}
+                          onChange={(e) => updatePreviewRow(r.row, 'selected', e.target.checked)}
+                        />
+                      </td>
+                      <td className="font-mono">{r.row}</td>
+                      {['first_name', 'last_name', 'password', 'email', 'expire', 'group', 'role', 'username'].map((field) => (
+                        <td key={field}>
+                          <input
+                            className="form-input text-sm"
+                            type={field === 'password' ? 'password' : 'text'}
+                            placeholder={
+                              field === 'password' || field === 'username'
+                                ? 'generated'
+                                : field === 'expire'
+                                  ? 'never'
+                                  : field === 'role'
+                                    ? defaultRole
+                                    : ''
+                            }
+                            value={r[field]}
+                            onChange={(e) => updatePreviewRow(r.row, field, e.target.value)}
+                            disabled={importing}
+                          />
+                        </td>
+                      ))}
+                      <td className="font-mono">{r.plannedUserid || '-'}</td>
+                      <td className="text-sm">
+                        {r.errors.map((m) => (
+                          <div key={m} className="text-red-600">✗ {m}</div>
+                        ))}
+                        {r.warnings.map((m) => (
+                          <div key={m} className="text-yellow-600">! {m}</div>
+                        ))}
+                        {r.errors.length === 0 && r.warnings.length === 0 && 'OK'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm" style={{ marginTop: 12 }}>
+              <input
+                type="checkbox"
+                checked={sendWelcomeEmail}
+                onChange={(e) => setSendWelcomeEmail(e.target.checked)}
+                disabled={importing}
+              />
+              Send a welcome email (with username and initial password) to users with an email address
+            </label>
+
+            <div className="flex gap-3 flex-wrap" style={{ marginTop: 12 }}>
+              <button onClick={recheckPreview} disabled={importing} className="btn btn-ghost">
+                Re-check
+              </button>
+              <button onClick={handleImport} disabled={importing || !preview.some((r) => r.selected)} className="btn">
+                {importing ? 'Importing...' : `Import selected (${preview.filter((r) => r.selected).length})`}
+              </button>
+              <button onClick={() => setPreview(null)} disabled={importing} className="btn btn-ghost">
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Results */}
         {results && (
           <div className="card">
@@ -262,12 +812,48 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
               </div>
             </div>
 
+            {results.cohorts && results.cohorts.length > 0 && (
+              <div className="mb-4 text-sm">
+                {results.cohorts.map((c) => (
+                  <div key={c.groupid} className={c.ok ? '' : 'text-red-600'}>
+                    {c.ok
+                      ? `Group ${c.groupid}${c.createdGroup ? ' (new)' : ''}: pool ${c.poolid}${
+                          c.createdPool ? ' (new)' : ''
+                        }, role ${c.role}`
+                      : `Group ${c.groupid}: ${c.error}`}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Credentials */}
+            {results.credentials && results.credentials.length > 0 && (
+              <div className="p-4 bg-yellow-100 rounded mb-4">
+                <p className="font-bold mb-2">Initial passwords for {results.credentials.length} new users</p>
+                <p className="text-sm mb-4">
+                  These are shown only now and are not stored on the server. Download or print them before leaving this page.
+                </p>
+                <div className="flex gap-3 flex-wrap">
+                  <button onClick={downloadCredentialsCsv} className="btn btn-sm">
+                    Download CSV
+                  </button>
+                  <button onClick={printCredentialsHandout} className="btn btn-sm">
+                    Print handout
+                  </button>
+                  <button onClick={discardCredentials} className="btn btn-sm btn-ghost">
+                    Discard
+                  </button>
+                </div>
+              </div>
+            )}
+
             {/* Detailed Results */}
             {results.results && results.results.length > 0 && (
               <div className="overflow-x-auto">
                 <table className="data-table">
                   <thead>
                     <tr>
+                      <th>Row</th>
                       <th>Status</th>
                       <th>User ID</th>
                       <th>Full Name</th>
@@ -277,6 +863,7 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
                   <tbody>
                     {results.results.map((result, index) => (
                       <tr key={index}>
+                        <td className="font-mono">{result.row ?? '-'}</td>
                         <td>
                           {result.ok ? (
                             <span className="status-badge status-running">✓ Success</span>
@@ -290,6 +877,8 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
                         <td>{result.fullName || '-'}</td>
                         <td className="text-sm">
                           {result.error || 'User created successfully'}
+                          {result.emailSent === true && ` – welcome email sent to ${result.email}`}
+                          {result.emailSent === false && ` – welcome email failed: ${result.emailError}`}
                         </td>
                       </tr>
                     ))}
@@ -307,16 +896,127 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
               style={{ maxWidth: 320 }}
               value={query}
               onChange={(e) => setQuery(e.target.value)}
-              placeholder="Search name"
+              placeholder="Search name or email"
             />
           </div>
 
+          {message && (
+            <div
+              className={`p-4 rounded ${message.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}
+              style={{ marginTop: 12 }}
+            >
+              {message.text}
+            </div>
+          )}
+
+          <div className="flex items-center gap-3 flex-wrap" style={{ marginTop: 12 }}>
+            <span className="text-sm">{selectedUsers.length} selected</span>
+            <select
+              className="form-input"
+              style={{ maxWidth: 220 }}
+              value={bulkAction}
+              onChange={(e) => {
+                setBulkAction(e.target.value);
+                setBulkConfirm(null);
+              }}
+              disabled={loading}
+            >
+              <option value="disable">Disable</option>
+              <option value="delete">Delete</option>
+              <option value="delete-with-vms">Delete including VMs</option>
+            </select>
+            <button
+              className={`btn btn-sm ${bulkAction === 'disable' ? '' : 'btn-danger'}`}
+              type="button"
+              onClick={runBulk}
+              disabled={loading || selectedUsers.length === 0 || (bulkConfirm && bulkConfirm.typed !== bulkConfirm.phrase)}
+            >
+              Apply to selected
+            </button>
+            <label className="btn btn-sm btn-ghost" style={{ cursor: 'pointer' }}>
+              Select from list…
+              <input type="file" accept=".csv,.txt" onChange={handleBulkListUpload} style={{ display: 'none' }} />
+            </label>
+            {selectedUsers.length > 0 && (
+              <button className="btn btn-sm btn-ghost" type="button" onClick={() => setSelectedUsers([])} disabled={loading}>
+                Clear selection
+              </button>
+            )}
+          </div>
+
+          {bulkConfirm && (
+            <div className="p-4 bg-red-100 text-red-700 rounded" style={{ marginTop: 12 }}>
+              <p className="mb-2">
+                This cannot be undone. Type <code>{bulkConfirm.phrase}</code> and press Apply again.
+              </p>
+              <input
+                className="form-input"
+                style={{ maxWidth: 320 }}
+                value={bulkConfirm.typed}
+                onChange={(e) => setBulkConfirm((c) => ({ ...c, typed: e.target.value }))}
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          {bulkUnmatched.length > 0 && (
+            <div className="text-sm text-yellow-600" style={{ marginTop: 12 }}>
+              {bulkUnmatched.map((m) => (
+                <div key={m.input}>
+                  ! {m.input}: {m.error}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {bulkReport && (
+            <table className="w-full text-sm" style={{ marginTop: 12 }}>
+              <thead>
+                <tr className="text-narrek-muted">
+                  <th className="text-left py-2">User ID</th>
+                  <th className="text-left py-2">Status</th>
+                  <th className="text-left py-2">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {bulkReport.results.map((r) => (
+                  <tr key={r.userid} className="border-t border-white/5">
+                    <td className="py-2 font-mono">{r.userid}</td>
+                    <td className="py-2">
+                      <span className={`status-badge ${r.ok ? 'status-running' : 'status-stopped'}`}>
+                        {r.ok ? '✓ Done' : '✗ Failed'}
+                      </span>
+                    </td>
+                    <td className="py-2">
+                      {r.error ||
+                        (r.steps ? r.steps.map((s) => (s.vmid ? `${s.step} ${s.vmid}` : s.step)).join(', ') : bulkReport.action)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
           <div style={{ marginTop: 12, overflowX: 'auto' }}>
             <table className="w-full text-sm">
               <thead>
                 <tr className="text-narrek-muted">
+                <th className="text-left py-3">
+                  <input
+                    type="checkbox"
+                    checked={filteredUsers.length > 0 && filteredUsers.every((u) => selectedUsers.includes(u.userid))}
+                    onChange={(e) => {
+                      const ids = filteredUsers.map((u) => u.userid);
+                      setSelectedUsers((sel) =>
+                        e.target.checked ? [...new Set([...sel, ...ids])] : sel.filter((u) => !ids.includes(u))
+                      );
+                      setBulkConfirm(null);
+                    }}
+                  />
+                </th>
                 <th className="text-left py-3">Name</th>
                 <th className="text-left py-3">Status</th>
+                <th className="text-left py-3">Expires</th>
                 <th className="text-right py-3">Actions</th>
               </tr>
             </thead>
@@ -324,20 +1024,64 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
               <tbody>
                 {filteredUsers.length === 0 ? (
                   <tr>
-                    <td colSpan={3} className="py-3 text-narrek-muted">
+                    <td colSpan={5} className="py-3 text-narrek-muted">
                       {loading ? 'Loading…' : 'No users found.'}
                     </td>
                   </tr>
                 ) : (
                   filteredUsers.map((u) => (
                     <tr key={u.userid} className="border-t border-white/5">
-                      <td className="py-2 text-narrek-muted">{u.fullName || '-'}</td>
+                      <td className="py-2">
+                        <input
+                          type="checkbox"
+                          checked={selectedUsers.includes(u.userid)}
+                          onChange={(e) => toggleSelected(u.userid, e.target.checked)}
+                        />
+                      </td>
+                      <td className="py-2 text-narrek-muted">
+                        {u.fullName || '-'}
+                        {u.email && <div className="text-xs">{u.email}</div>}
+                        {u.groups?.length > 0 && <div className="text-xs">Groups: {u.groups.join(', ')}</div>}
+                      </td>
                       <td className="py-2">
                         <span className={`status-badge ${u.enabled ? 'status-running' : 'status-stopped'}`}>
                           {u.enabled ? 'Active' : 'Disabled'}
                         </span>
                       </td>
+                      <td className="py-2 text-narrek-muted">
+                        {u.expiresAt ? new Date(u.expiresAt).toLocaleDateString() : 'Never'}
+                      </td>
                       <td className="py-2 text-right">
+                        <button
+                          className="btn btn-sm btn-ghost"
+                          type="button"
+                          onClick={() => toggleEnabled(u)}
+                          disabled={loading}
+                          style={{ marginRight: 8 }}
+                        >
+                          {u.enabled ? 'Disable' : 'Enable'}
+                        </button>
+                        <button
+                          className="btn btn-sm btn-ghost"
+                          type="button"
+                          onClick={() => openEdit(u)}
+                          disabled={loading}
+                          style={{ marginRight: 8 }}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-sm btn-ghost"
+                          type="button"
+                          onClick={() => {
+                            setOffboardTarget(u);
+                            setOffboardReport(null);
+                          }}
+                          disabled={loading}
+                          style={{ marginRight: 8 }}
+                        >
+                          Offboard
+                        </button>
                         <button
                           className="btn btn-sm btn-danger"
                           type="button"
@@ -353,6 +1097,295 @@ setMessage({ type: 'success', text: 'Import completed and user list refreshed.'
               </tbody>
             </table>
           </div>
+
+          {editTarget && editForm && (
+            <div className="card" style={{ marginTop: 16 }}>
+              <h3 className="font-bold mb-2">Edit {editTarget.userid}</h3>
+              <div className="flex items-center gap-3 flex-wrap">
+                <label className="text-sm">
+                  Full name{' '}
+                  <input
+                    className="form-input"
+                    value={editForm.fullName}
+                    onChange={(e) => setEditForm((f) => ({ ...f, fullName: e.target.value }))}
+                    disabled={loading}
+                  />
+                </label>
+                <label className="text-sm">
+                  Email{' '}
+                  <input
+                    className="form-input"
+                    type="email"
+                    value={editForm.email}
+                    onChange={(e) => setEditForm((f) => ({ ...f, email: e.target.value }))}
+                    disabled={loading}
+                  />
+                </label>
+                <label className="text-sm">
+                  Expires{' '}
+                  <input
+                    className="form-input"
+                    type="date"
+                    value={editForm.expiresAt}
+                    onChange={(e) => setEditForm((f) => ({ ...f, expiresAt: e.target.value }))}
+                    disabled={loading}
+                  />
+                </label>
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={editForm.enabled}
+                    onChange={(e) => setEditForm((f) => ({ ...f, enabled: e.target.checked }))}
+                    disabled={loading}
+                  />
+                  Enabled
+                </label>
+              </div>
+              <div className="flex gap-3 flex-wrap" style={{ marginTop: 12 }}>
+                <button className="btn btn-sm" type="button" onClick={saveEdit} disabled={loading}>
+                  {loading ? 'Saving…' : 'Save'}
+                </button>
+                <button className="btn btn-sm btn-ghost" type="button" onClick={resetPassword} disabled={loading}>
+                  Reset password
+                </button>
+                <button
+                  className="btn btn-sm btn-ghost"
+                  type="button"
+                  onClick={() => {
+                    setEditTarget(null);
+                    setResetResult(null);
+                  }}
+                  disabled={loading}
+                >
+                  Close
+                </button>
+              </div>
+              <p className="text-sm text-narrek-muted" style={{ marginTop: 8 }}>
+                Leave Expires empty for an account that never expires.
+              </p>
+            </div>
+          )}
+
+          {resetResult && (
+            <div className="p-4 bg-yellow-100 rounded" style={{ marginTop: 12 }}>
+              <p className="font-bold mb-2">New password for {resetResult.userid}</p>
+              <p className="font-mono mb-2">{resetResult.password}</p>
+              <p className="text-sm mb-2">Shown only once; it is not stored on the server.</p>
+              <button className="btn btn-sm btn-ghost" type="button" onClick={() => setResetResult(null)}>
+                Discard
+              </button>
+            </div>
+          )}
+
+          {offboardTarget && (
+            <div className="card" style={{ marginTop: 16 }}>
+              <h3 className="font-bold mb-2">Offboard {offboardTarget.fullName || offboardTarget.userid}</h3>
+              <p className="text-sm text-narrek-muted mb-4">
+                Disables the account, destroys all of its VMs and deletes the account after the grace period.
+              </p>
+              <div className="flex items-center gap-3 flex-wrap">
+                <label className="text-sm">
+                  Archive VMs{' '}
+                  <select
+                    className="form-input"
+                    value={offboardArchive}
+                    onChange={(e) => setOffboardArchive(e.target.value)}
+                    disabled={loading}
+                  >
+                    <option value="none">No archive</option>
+                    <option value="config">Config only</option>
+                    <option value="disk">Config + disk backup</option>
+                  </select>
+                </label>
+                <label className="text-sm">
+                  Grace period (days){' '}
+                  <input
+                    className="form-input"
+                    type="number"
+                    min="0"
+                    style={{ maxWidth: 100 }}
+                    value={offboardGraceDays}
+                    onChange={(e) => setOffboardGraceDays(e.target.value)}
+                    disabled={loading}
+                  />
+                </label>
+                <button className="btn btn-sm btn-danger" type="button" onClick={runOffboarding} disabled={loading}>
+                  {loading ? 'Working…' : 'Run offboarding'}
+                </button>
+                <button
+                  className="btn btn-sm btn-ghost"
+                  type="button"
+                  onClick={() => {
+                    setOffboardTarget(null);
+                    setOffboardReport(null);
+                  }}
+                  disabled={loading}
+                >
+                  Close
+                </button>
+              </div>
+
+              {offboardReport && (
+                <table className="w-full text-sm" style={{ marginTop: 12 }}>
+                  <thead>
+                    <tr className="text-narrek-muted">
+                      <th className="text-left py-2">Step</th>
+                      <th className="text-left py-2">Status</th>
+                      <th className="text-left py-2">Details</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {offboardReport.steps.map((step, index) => (
+                      <tr key={index} className="border-t border-white/5">
+                        <td className="py-2 font-mono">{step.step}</td>
+                        <td className="py-2">
+                          <span className={`status-badge ${step.ok ? 'status-running' : 'status-stopped'}`}>
+                            {step.ok ? '✓ Done' : '✗ Failed'}
+                          </span>
+                        </td>
+                        <td className="py-2">
+                          {step.error ||
+                            [
+                              step.vmid && `VM ${step.vmid}`,
+                              step.vmids && (step.vmids.length ? `VMs: ${step.vmids.join(', ')}` : 'No VMs'),
+                              step.message,
+                              step.file && `Archived to ${step.file}`,
+                              step.backupStorage && `Backup on ${step.backupStorage}`,
+                              step.deleteAfter && `Deletion on ${new Date(step.deleteAfter).toLocaleString()}`,
+                            ]
+                              .filter(Boolean)
+                              .join(' – ') ||
+                            '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {pendingDeletions.length > 0 && (
+            <div style={{ marginTop: 16 }}>
+              <h3 className="font-bold mb-2">Scheduled deletions</h3>
+              <table className="w-full text-sm">
+                <tbody>
+                  {pendingDeletions.map((p) => (
+                    <tr key={p.userid} className="border-t border-white/5">
+                      <td className="py-2 font-mono">{p.userid}</td>
+                      <td className="py-2 text-narrek-muted">{new Date(p.deleteAfter).toLocaleString()}</td>
+                      <td className="py-2 text-right">
+                        <button
+                          className="btn btn-sm btn-ghost"
+                          type="button"
+                          onClick={() => cancelDeletion(p.userid)}
+                          disabled={loading}
+                        >
+                          Cancel
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+
+        <section className="card" style={{ marginTop: 16 }}>
+          <h2 style={{ margin: 0 }}>Groups</h2>
+          <p className="text-sm text-narrek-muted" style={{ marginTop: 8 }}>
+            Every group has a resource pool for its members&apos; VMs. New groups get the {defaultRole || 'default'} role
+            on their pool unless another role is given.
+          </p>
+
+          <div className="flex items-center gap-3 flex-wrap" style={{ marginTop: 12 }}>
+            <input
+              className="form-input"
+              style={{ maxWidth: 200 }}
+              placeholder="Group, e.g. klas1a"
+              value={newGroup.groupid}
+              onChange={(e) => setNewGroup((g) => ({ ...g, groupid: e.target.value }))}
+              disabled={loading}
+            />
+            <input
+              className="form-input"
+              style={{ maxWidth: 200 }}
+              placeholder={defaultRole || 'Role'}
+              value={newGroup.role}
+              onChange={(e) => setNewGroup((g) => ({ ...g, role: e.target.value }))}
+              disabled={loading}
+            />
+            <button className="btn btn-sm" type="button" onClick={createGroup} disabled={loading || !newGroup.groupid.trim()}>
+              Add group
+            </button>
+          </div>
+
+          <table className="w-full text-sm" style={{ marginTop: 12 }}>
+            <thead>
+              <tr className="text-narrek-muted">
+                <th className="text-left py-3">Group</th>
+                <th className="text-left py-3">Pool</th>
+                <th className="text-left py-3">Members</th>
+                <th className="text-right py-3">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {groups.length === 0 ? (
+                <tr>
+                  <td colSpan={4} className="py-3 text-narrek-muted">
+                    {loading ? 'Loading…' : 'No groups yet.'}
+                  </td>
+                </tr>
+              ) : (
+                groups.map((g) => (
+                  <Fragment key={g.groupid}>
+                    <tr className="border-t border-white/5">
+                      <td className="py-2 font-mono">{g.groupid}</td>
+                      <td className="py-2 text-narrek-muted">{g.pool || '-'}</td>
+                      <td className="py-2">{g.members.length}</td>
+                      <td className="py-2 text-right">
+                        <button
+                          className="btn btn-sm btn-ghost"
+                          type="button"
+                          onClick={() => setOpenGroup(openGroup === g.groupid ? null : g.groupid)}
+                        >
+                          {openGroup === g.groupid ? 'Hide members' : 'Show members'}
+                        </button>
+                      </td>
+                    </tr>
+                    {openGroup === g.groupid &&
+                      g.members.map((userid) => (
+                        <tr key={`${g.groupid}:${userid}`}>
+                          <td />
+                          <td colSpan={2} className="py-1 font-mono">{userid}</td>
+                          <td className="py-1 text-right">
+                            <select
+                              className="form-input"
+                              value=""
+                              onChange={(e) => moveMember(userid, g.groupid, e.target.value === '-' ? '' : e.target.value)}
+                              disabled={loading}
+                            >
+                              <option value="" disabled>
+                                Move to…
+                              </option>
+                              {groups
+                                .filter((other) => other.groupid !== g.groupid)
+                                .map((other) => (
+                                  <option key={other.groupid} value={other.groupid}>
+                                    {other.groupid}
+                                  </option>
+                                ))}
+                              <option value="-">Remove from group</option>
+                            </select>
+                          </td>
+                        </tr>
+                      ))}
+                  </Fragment>
+                ))
+              )}
+            </tbody>
+          </table>
         </section>
       </main>
 
@@ -0,0 +1,371 @@
+import { useState, useEffect, useRef } from 'react';
+import Link from 'next/link';
+import { useAdminAuth } from '../lib/AdminAuthCheck';
+
+const JOB_LABELS = {
+  queued: 'Queued',
+  uploading: 'Copying to Proxmox',
+  extracting: 'Extracting OVA',
+  converting: 'Converting disk',
+  done: 'Done',
+  failed: 'Failed',
+};
+const EMPTY_METADATA = {
+  displayName: '',
+  description: '',
+  os: '',
+  defaultMemory: '',
+  defaultCores: '',
+  sessionTimeoutMinutes: '',
+  maxSessionMinutes: '',
+  templateVmid: '',
+  guestAgent: false,
+};
+const DEPLOY_MODES = { clone: 'Clone of template VM', import: 'Disk import' };
+
+function metadataForm(template = {}) {
+  const form = { ...EMPTY_METADATA };
+  for (const key of Object.keys(form)) {
+    if (template[key] !== undefined) form[key] = template[key];
+  }
+  return form;
+}
+
+function MetadataFields({ value, onChange }) {
+  const set = (key) => (e) =>
+    onChange({ ...value, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+  const field = (key, label, props = {}) => (
+    <label className="text-sm">
+      {label}{' '}
+      <input className="form-input" style={{ maxWidth: 200 }} value={value[key]} onChange={set(key)} {...props} />
+    </label>
+  );
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex items-center gap-3 flex-wrap">
+        {field('displayName', 'Display name')}
+        {field('os', 'OS', { placeholder: 'Ubuntu 24.04' })}
+        {field('defaultMemory', 'Memory (MB)', { type: 'number', min: 1 })}
+        {field('defaultCores', 'Cores', { type: 'number', min: 1 })}
+        {field('sessionTimeoutMinutes', 'Session (min)', { type: 'number', min: 1 })}
+        {field('maxSessionMinutes', 'Max session (min)', { type: 'number', min: 1 })}
+        {field('templateVmid', 'Template VM', { type: 'number', min: 100 })}
+        <label className="text-sm">
+          <input type="checkbox" checked={Boolean(value.guestAgent)} onChange={set('guestAgent')} /> Guest agent
+        </label>
+      </div>
+      <textarea
+        className="form-input text-sm"
+        rows={3}
+        placeholder="Description shown to students"
+        value={value.description}
+        onChange={set('description')}
+      />
+    </div>
+  );
+}
+
+export default function AdminTemplatesPage() {
+  const { isAuthenticated, loading: authLoading, logout } = useAdminAuth();
+  const [templates, setTemplates] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState('');
+  const [newMetadata, setNewMetadata] = useState(EMPTY_METADATA);
+  const [uploadPercent, setUploadPercent] = useState(null);
+  const [activeJob, setActiveJob] = useState(null);
+  const eventsRef = useRef(null);
+
+  const [editing, setEditing] = useState(null);
+  const [editMetadata, setEditMetadata] = useState(EMPTY_METADATA);
+
+  useEffect(() => {
+    if (isAuthenticated) load();
+    return () => eventsRef.current?.close();
+  }, [isAuthenticated]);
+
+  async function load() {
+    setError('');
+    try {
+      const res = await fetch('/api/proxmox/templates', { cache: 'no-store' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || 'Failed to load templates');
+      setTemplates(data.templates || []);
+      setJobs(data.jobs || []);
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  function followJob(job) {
+    setActiveJob(job);
+    eventsRef.current?.close();
+    const events = new EventSource(`/api/proxmox/templates/jobs/${job.id}/events`);
+    eventsRef.current = events;
+    events.addEventListener('job', (e) => {
+      const update = JSON.parse(e.data);
+      setActiveJob(update);
+      if (update.state === 'done' || update.state === 'failed') {
+        events.close();
+        load();
+      }
+    });
+    events.onerror = () => events.close();
+  }
+
+  // Raw XHR upload so the browser reports upload progress
+  function upload(e) {
+    e.preventDefault();
+    if (!file || !name) return;
+    setError('');
+    setBusy(true);
+    setUploadPercent(0);
+    const metadata = Object.fromEntries(Object.entries(newMetadata).filter(([, v]) => v !== '' && v !== false));
+    const params = new URLSearchParams({ name, filename: file.name, metadata: JSON.stringify(metadata) });
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `/api/proxmox/templates/upload?${params}`);
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+    xhr.upload.onprogress = (ev) => {
+      if (ev.lengthComputable) setUploadPercent(Math.round((ev.loaded / ev.total) * 100));
+    };
+    xhr.onload = () => {
+      setBusy(false);
+      setUploadPercent(null);
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {}
+      if (xhr.status !== 202) {
+        setError(data?.error || `Upload failed (${xhr.status})`);
+        return;
+      }
+      setFile(null);
+      setName('');
+      setNewMetadata(EMPTY_METADATA);
+      followJob(data.job);
+      load();
+    };
+    xhr.onerror = () => {
+      setBusy(false);
+      setUploadPercent(null);
+      setError('Upload failed');
+    };
+    xhr.send(file);
+  }
+
+  async function patch(body) {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await fetch('/api/proxmox/templates', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || 'Update failed');
+      await load();
+      return true;
+    } catch (e) {
+      setError(String(e?.message || e));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function saveMetadata() {
+    if (await patch({ name: editing, metadata: editMetadata })) setEditing(null);
+  }
+
+  if (authLoading) {
+    return <div className="container pt-12">Loading...</div>;
+  }
+
+  if (!isAuthenticated) {
+    return null;
+  }
+
+  const runningJobs = jobs.filter((j) => j.state !== 'done' && j.state !== 'failed');
+
+  return (
+    <>
+      <header className="site-header">
+        <div className="header-inner">
+          <Link href="/" className="brand">
+            Narrekappe<span className="accent">.</span>
+          </Link>
+          <nav className="main-nav">
+            <Link href="/">Home</Link>
+            <Link href="/admin-import-users">Users</Link>
+            <Link href="/admin-monitoring">Monitoring</Link>
+            <Link href="/admin-audit">Audit log</Link>
+            <button onClick={logout} className="btn btn-ghost btn-sm">Logout</button>
+          </nav>
+        </div>
+      </header>
+
+      <main className="container py-8">
+        <h1 className="text-4xl font-bold mb-2">Templates</h1>
+        <p className="muted mb-6">Upload OVA or qcow2 images and manage what students can deploy</p>
+
+        {error && <div className="p-4 bg-red-100 text-red-700 rounded mb-4">{error}</div>}
+
+        <form className="card mb-6" onSubmit={upload}>
+          <h2 className="text-2xl font-bold mb-4">Upload a template</h2>
+          <div className="flex items-center gap-3 flex-wrap mb-4">
+            <input
+              type="file"
+              accept=".ova,.qcow2,.vmdk"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+              disabled={busy}
+            />
+            <label className="text-sm">
+              Template name{' '}
+              <input
+                className="form-input"
+                style={{ maxWidth: 220 }}
+                placeholder="ubuntu-24-04"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                disabled={busy}
+              />
+            </label>
+          </div>
+          <MetadataFields value={newMetadata} onChange={setNewMetadata} />
+          <div className="flex items-center gap-3" style={{ marginTop: 12 }}>
+            <button type="submit" className="btn btn-sm" disabled={busy || !file || !name}>
+              {uploadPercent !== null ? `Uploading ${uploadPercent}%` : 'Upload'}
+            </button>
+            {activeJob && (
+              <span className="text-sm">
+                {activeJob.name}: {JOB_LABELS[activeJob.state] || activeJob.state}
+                {activeJob.percent !== null && activeJob.state !== 'done' && ` ${activeJob.percent}%`}
+                {activeJob.error && <span className="text-red-600"> – {activeJob.error}</span>}
+              </span>
+            )}
+          </div>
+          {runningJobs.length > 0 && !activeJob && (
+            <p className="text-sm text-narrek-muted" style={{ marginTop: 8 }}>
+              Running imports:{' '}
+              {runningJobs.map((j) => (
+                <button key={j.id} type="button" className="btn btn-ghost btn-sm" onClick={() => followJob(j)}>
+                  {j.name}
+                </button>
+              ))}
+            </p>
+          )}
+        </form>
+
+        <section className="card">
+          <h2 className="text-2xl font-bold mb-4">Catalog</h2>
+          <div style={{ overflowX: 'auto' }}>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-narrek-muted">
+                  <th className="text-left py-3">Template</th>
+                  <th className="text-left py-3">OS</th>
+                  <th className="text-left py-3">Defaults</th>
+                  <th className="text-left py-3">Deploys by</th>
+                  <th className="text-left py-3">Status</th>
+                  <th className="text-left py-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {templates.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="py-3 text-narrek-muted">No templates yet.</td>
+                  </tr>
+                ) : (
+                  templates.map((t) => (
+                    <tr key={t.id} className="border-t border-white/5" style={{ verticalAlign: 'top' }}>
+                      <td className="py-2">
+                        <div className="font-semibold">{t.displayName || t.name}</div>
+                        <div className="font-mono text-xs text-narrek-muted">{t.id}</div>
+                        {editing === t.id && (
+                          <div style={{ marginTop: 8 }}>
+                            <MetadataFields value={editMetadata} onChange={setEditMetadata} />
+                            <div className="flex gap-3" style={{ marginTop: 8 }}>
+                              <button className="btn btn-sm" type="button" onClick={saveMetadata} disabled={busy}>
+                                Save
+                              </button>
+                              <button
+                                className="btn btn-sm btn-ghost"
+                                type="button"
+                                onClick={() => setEditing(null)}
+                                disabled={busy}
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </td>
+                      <td className="py-2">{t.os || '-'}</td>
+                      <td className="py-2 text-narrek-muted">
+                        {t.defaultMemory || 2048} MB, {t.defaultCores || 2} cores
+                      </td>
+                      <td className="py-2">
+                        {DEPLOY_MODES[t.deployMode] || t.deployMode}
+                        {t.templateVmid && <div className="text-xs text-narrek-muted">VM {t.templateVmid}</div>}
+                      </td>
+                      <td className="py-2">
+                        {t.retired ? (
+                          <span className="status-badge status-stopped">Retired</span>
+                        ) : (
+                          <span className="status-badge status-running">Available</span>
+                        )}
+                      </td>
+                      <td className="py-2">
+                        <div className="flex gap-3">
+                          <button
+                            className="btn btn-sm btn-ghost"
+                            type="button"
+                            onClick={() => {
+                              setEditing(t.id);
+                              setEditMetadata(metadataForm(t));
+                            }}
+                            disabled={busy}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            className="btn btn-sm btn-ghost"
+                            type="button"
+                            onClick={() => patch({ name: t.id, retired: !t.retired })}
+                            disabled={busy}
+                          >
+                            {t.retired ? 'Restore' : 'Retire'}
+                          </button>
+                          {!t.templateVmid && (
+                            <button
+                              className="btn btn-sm btn-ghost"
+                              type="button"
+                              onClick={() => patch({ name: t.id, templateVm: true })}
+                              disabled={busy}
+                            >
+                              Make template VM
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </main>
+
+      <footer className="site-footer">
+        <div className="footer-inner">
+          <p>© 2025 Narrekappe B.V. – Admin Dashboard</p>
+        </div>
+      </footer>
+    </>
+  );
+}
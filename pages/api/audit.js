@@ -0,0 +1,41 @@
+import { auditToCsv, queryAudit } from '../../lib/audit';
+import { errorStatus } from '../../lib/errors';
+import { withRoles } from '../../lib/session';
+import { ROLES } from '../../lib/roles';
+
+const FILTERS = ['from', 'to', 'actor', 'action', 'userid', 'vmid', 'result', 'q'];
+
+// GET /api/audit?from&to&actor&action&userid&vmid&result&q&limit&offset[&format=csv]
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const filters = {};
+    for (const key of FILTERS) {
+      const value = String(req.query[key] || '').trim();
+      if (value) filters[key] = value;
+    }
+
+    if (req.query.format === 'csv') {
+      // The export always contains every matching entry
+      const { entries } = await queryAudit({ ...filters, limit: 0 });
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(auditToCsv(entries));
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '200', 10) || 200, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    const { total, entries } = await queryAudit({ ...filters, limit, offset });
+    return res.status(200).json({ total, limit, offset, entries });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withRoles([ROLES.ADMIN], handler);
@@ -0,0 +1,63 @@
+import { AUTH_ERRORS, authenticateUser } from '../../../lib/proxmoxApi';
+import { createSession } from '../../../lib/session';
+import { ROLES, resolveRole } from '../../../lib/roles';
+import { withAuditActor } from '../../../lib/audit';
+
+const FAILURE_STATUS = {
+  [AUTH_ERRORS.TFA_REQUIRED]: 403,
+  [AUTH_ERRORS.UNAVAILABLE]: 503,
+};
+// PVE refuses disabled and expired accounts with the same 401 as a wrong password, so
+// these can never be told apart from a bad guess. Callers get one generic answer; the
+// audit log keeps the actual code.
+const MASKED_FAILURES = [
+  AUTH_ERRORS.UNKNOWN_USER,
+  AUTH_ERRORS.WRONG_PASSWORD,
+  AUTH_ERRORS.ACCOUNT_DISABLED,
+  AUTH_ERRORS.ACCOUNT_EXPIRED,
+];
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const username = String(req.body?.username || '').trim();
+    const password = String(req.body?.password || '');
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Missing username or password' });
+    }
+
+    const result = await authenticateUser(username, password);
+    if (!result.success) {
+      // Don't tell anonymous callers whether the account exists or what state it is in
+      if (MASKED_FAILURES.includes(result.code)) {
+        return res.status(401).json({ error: 'Invalid username or password', code: AUTH_ERRORS.WRONG_PASSWORD });
+      }
+      return res.status(FAILURE_STATUS[result.code] || 401).json({ error: result.error, code: result.code });
+    }
+
+    let role = ROLES.STUDENT;
+    try {
+      role = await resolveRole(result.userid);
+    } catch (e) {
+      // Without group information nobody gets more than student rights
+      console.error(`[auth/login] Could not resolve role for ${result.userid}: ${e.message}`);
+    }
+
+    const session = createSession(res, {
+      userid: result.userid,
+      username: result.username,
+      role,
+    });
+    return res.status(200).json(session);
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(handler);
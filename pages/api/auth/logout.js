@@ -0,0 +1,14 @@
+import { clearSession } from '../../../lib/session';
+import { recordAudit, withAuditActor } from '../../../lib/audit';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  await recordAudit({ action: 'auth.logout' });
+  clearSession(res);
+  return res.status(200).json({ ok: true });
+}
+
+export default withAuditActor(handler);
@@ -0,0 +1,10 @@
+import { withSession } from '../../../lib/session';
+
+// The signed-in user, with the role as it is now (not as it was at login)
+function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  const { userid, username, role } = req.session;
+  return res.status(200).json({ userid, username, role });
+}
+
+export default withSession(handler);
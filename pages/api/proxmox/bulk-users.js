@@ -0,0 +1,53 @@
+import {
+  BULK_ACTIONS,
+  DESTRUCTIVE_ACTIONS,
+  confirmationPhrase,
+  resolveUsers,
+  runBulkAction,
+} from '../../../lib/bulkUsers';
+import { errorStatus } from '../../../lib/errors';
+import { withAuditActor } from '../../../lib/audit';
+import { withRoles } from '../../../lib/session';
+import { ROLES } from '../../../lib/roles';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // { resolve: [lines] } matches an uploaded list to userids without changing anything
+    if (Array.isArray(req.body?.resolve)) {
+      const matches = await resolveUsers(req.body.resolve);
+      return res.status(200).json({ matches });
+    }
+
+    // { action, userids, confirm } runs the action
+    const action = String(req.body?.action || '');
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+    }
+
+    const userids = Array.isArray(req.body?.userids)
+      ? req.body.userids.map((u) => String(u || '').trim()).filter(Boolean)
+      : [];
+    if (userids.length === 0) return res.status(400).json({ error: 'No users selected' });
+
+    if (DESTRUCTIVE_ACTIONS.includes(action)) {
+      const phrase = confirmationPhrase(action, new Set(userids).size);
+      if (String(req.body?.confirm || '').trim() !== phrase) {
+        return res.status(400).json({ error: `Type "${phrase}" to confirm`, confirm: phrase });
+      }
+    }
+
+    const report = await runBulkAction(action, userids);
+    return res.status(200).json(report);
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withRoles([ROLES.ADMIN], handler));
@@ -0,0 +1,50 @@
+import { ensureCohort, getDefaultCohortRole, listCohorts, moveUserToGroup } from '../../../lib/cohorts';
+import { errorStatus } from '../../../lib/errors';
+import { withAuditActor } from '../../../lib/audit';
+import { withRoles } from '../../../lib/session';
+import { ROLES } from '../../../lib/roles';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'GET') {
+      const groups = await listCohorts();
+      return res.status(200).json({ groups, defaultRole: getDefaultCohortRole() });
+    }
+
+    // POST { groupid, role?, comment? } creates a cohort (group + pool + ACL)
+    if (req.method === 'POST') {
+      const groupid = String(req.body?.groupid || '').trim();
+      if (!groupid) return res.status(400).json({ error: 'Missing groupid' });
+      const role = String(req.body?.role || '').trim() || undefined;
+      const comment = String(req.body?.comment || '').trim() || undefined;
+      const out = await ensureCohort(groupid, { role, comment });
+      return res.status(200).json({ ok: true, ...out });
+    }
+
+    // PATCH { userid, to, from? } moves a user between groups
+    if (req.method === 'PATCH') {
+      const userid = String(req.body?.userid || '').trim();
+      if (!userid) return res.status(400).json({ error: 'Missing userid' });
+      const to = String(req.body?.to || '').trim() || undefined;
+      const from = String(req.body?.from || '').trim() || undefined;
+      if (!to && !from) return res.status(400).json({ error: 'Missing to or from' });
+      const out = await moveUserToGroup(userid, { to, from });
+      return res.status(200).json({ ok: true, ...out });
+    }
+
+    res.setHeader('Allow', 'GET,POST,PATCH');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+const ACCESS = {
+  GET: [ROLES.ADMIN, ROLES.TEACHER],
+  POST: [ROLES.ADMIN],
+  PATCH: [ROLES.ADMIN],
+};
+
+export default withAuditActor(withRoles(ACCESS, handler));
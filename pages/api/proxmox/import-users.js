@@ -1,41 +1,15 @@
-import { proxmoxCreateUser, proxmoxListUsers } from '../../../lib/proxmoxApi';
-
-function parseCsv(text) {
-  const lines = String(text || '')
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .filter((l) => l.length > 0);
-
-  if (lines.length === 0) return { header: [], rows: [] };
-
-  const header = lines[0].split(',').map((h) => h.trim());
-  const rows = lines.slice(1).map((line) => {
-    const cols = line.split(',').map((c) => c.trim());
-    const obj = {};
-    header.forEach((h, i) => {
-      obj[h] = cols[i] ?? '';
-    });
-    return obj;
-  });
-
-  return { header, rows };
-}
-
-function normalize(s) {
-  return String(s || '')
-    .toLowerCase()
-    .trim()
-    .replace(/[^a-z0-9]/g, '');
-}
-
-function buildBaseUsername(firstName, lastName) {
-  const f = normalize(firstName);
-  const l = normalize(lastName);
-  if (!f || !l) return '';
-  return `${f[0]}${l}`; // optie 2
-}
-
-export default async function handler(req, res) {
+import { parseImport } from '../../../lib/importParser';
+import { REQUIRED_COLUMNS, planImport, runImport } from '../../../lib/userImport';
+import { withAuditActor } from '../../../lib/audit';
+import { withRoles } from '../../../lib/session';
+import { ROLES, getTeacherCohorts } from '../../../lib/roles';
+
+// XLSX uploads arrive base64-encoded in the JSON body
+export const config = {
+  api: { bodyParser: { sizeLimit: '5mb' } },
+};
+
+async function handler(req, res) {
   try {
     res.setHeader('Cache-Control', 'no-store');
 
@@ -44,74 +18,46 @@ export default async function handler(req, res) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    const csv = String(req.body?.csv || '');
-    const { header, rows } = parseCsv(csv);
-
-    const required = ['first_name', 'last_name', 'password'];
-    for (const r of required) {
-      if (!header.includes(r)) {
-        return res.status(400).json({ error: `CSV missing column: ${r}` });
+    let header;
+    let rows;
+    if (Array.isArray(req.body?.rows)) {
+      // Rows edited in the preview table
+      rows = req.body.rows.map((r, i) => ({ ...r, row: r.row ?? i + 1 }));
+      header = REQUIRED_COLUMNS;
+    } else {
+      try {
+        ({ header, rows } = parseImport({ csv: req.body?.csv, xlsx: req.body?.xlsx }));
+      } catch (e) {
+        return res.status(400).json({ error: `Could not read file: ${e.message}` });
       }
     }
 
-    const realm = process.env.PROXMOX_REALM || 'pve';
-
-    // bestaande users ophalen voor duplicate check
-    const existingUsers = await proxmoxListUsers();
-    const existingIds = new Set(existingUsers.map((u) => u.userid));
-
-    const results = [];
-
-    for (const row of rows) {
-      const firstName = row.first_name;
-      const lastName = row.last_name;
-      const password = String(row.password || '').trim();
-
-      if (!firstName || !lastName) {
-        results.push({ ok: false, error: 'Missing first_name or last_name' });
-        continue;
-      }
-
-      if (!password || password.length < 8) {
-        results.push({
-          ok: false,
-          error: 'Password must be at least 8 characters',
-        });
-        continue;
-      }
-
-      let base = buildBaseUsername(firstName, lastName);
-      if (!base) {
-        results.push({ ok: false, error: 'Invalid name values' });
-        continue;
-      }
-
-      let username = base;
-      let counter = 1;
-      while (existingIds.has(`${username}@${realm}`)) {
-        username = `${base}${counter++}`;
+    for (const r of REQUIRED_COLUMNS) {
+      if (!header.includes(r)) {
+        return res.status(400).json({ error: `CSV missing column: ${r} (found: ${header.join(', ') || 'none'})` });
       }
+    }
 
-      const userid = `${username}@${realm}`;
-      const fullName = `${firstName} ${lastName}`;
-
-      try {
-        await proxmoxCreateUser({
-          userid,
-          fullName,
-          password,
-        });
-        existingIds.add(userid);
-        results.push({ ok: true, userid, fullName });
-      } catch (e) {
-        results.push({
-          ok: false,
-          userid,
-          error: String(e?.message || e),
-        });
-      }
+    // Teachers import only into the cohorts they belong to
+    const teacherCohorts = req.session.role === ROLES.TEACHER ? await getTeacherCohorts(req.session.userid) : null;
+    const plan = await planImport(rows, { cohorts: teacherCohorts });
+
+    if (req.body?.dryRun) {
+      return res.status(200).json({
+        dryRun: true,
+        total: plan.length,
+        valid: plan.filter((p) => p.ok).length,
+        invalid: plan.filter((p) => !p.ok).length,
+        plan,
+      });
     }
 
+    const loginUrl = process.env.PORTAL_LOGIN_URL || `https://${req.headers.host}/login`;
+    const { results, credentials, cohorts } = await runImport(plan, {
+      sendWelcome: Boolean(req.body?.sendWelcomeEmail),
+      loginUrl,
+    });
+
     const success = results.filter((r) => r.ok).length;
     const failed = results.length - success;
 
@@ -127,8 +73,14 @@ export default async function handler(req, res) {
       success,
       failed,
       results,
+      cohorts,
+      // Shown once for the credential handout; not kept on the server
+      credentials,
+      loginUrl,
     });
   } catch (e) {
     return res.status(500).json({ error: String(e?.message || e) });
   }
-}
\ No newline at end of file
+}
+
+export default withAuditActor(withRoles([ROLES.ADMIN, ROLES.TEACHER], handler));
@@ -0,0 +1,56 @@
+import {
+  ARCHIVE_MODES,
+  cancelPendingDeletion,
+  listPendingDeletions,
+  offboardUser,
+} from '../../../lib/offboarding';
+import { errorStatus } from '../../../lib/errors';
+import { withAuditActor } from '../../../lib/audit';
+import { withRoles } from '../../../lib/session';
+import { ROLES } from '../../../lib/roles';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'GET') {
+      const pending = await listPendingDeletions();
+      return res.status(200).json({ pending });
+    }
+
+    if (req.method === 'POST') {
+      const userid = String(req.body?.userid || '').trim();
+      if (!userid) return res.status(400).json({ error: 'Missing userid' });
+
+      const archive = String(req.body?.archive || 'none');
+      if (!ARCHIVE_MODES.includes(archive)) {
+        return res.status(400).json({ error: `archive must be one of: ${ARCHIVE_MODES.join(', ')}` });
+      }
+
+      let graceDays;
+      if (req.body?.graceDays !== undefined && req.body?.graceDays !== '') {
+        graceDays = Number(req.body.graceDays);
+        if (!Number.isInteger(graceDays) || graceDays < 0) {
+          return res.status(400).json({ error: 'graceDays must be a non-negative integer' });
+        }
+      }
+
+      const report = await offboardUser({ userid, archive, graceDays });
+      return res.status(200).json(report);
+    }
+
+    if (req.method === 'DELETE') {
+      const userid = String(req.body?.userid || '').trim();
+      if (!userid) return res.status(400).json({ error: 'Missing userid' });
+      const out = await cancelPendingDeletion(userid);
+      return res.status(200).json({ ok: true, userid: out.userid });
+    }
+
+    res.setHeader('Allow', 'GET,POST,DELETE');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withRoles([ROLES.ADMIN], handler));
@@ -0,0 +1,37 @@
+import { getQuotaConfig, saveQuotaConfig } from '../../../lib/quotas';
+import { getUserQuota } from '../../../lib/proxmoxApi';
+import { errorStatus } from '../../../lib/errors';
+import { withAuditActor } from '../../../lib/audit';
+import { withRoles } from '../../../lib/session';
+import { ROLES } from '../../../lib/roles';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    // GET returns the quota configuration; ?username= reports that user's usage against it
+    if (req.method === 'GET') {
+      const username = String(req.query.username || '').trim();
+      if (username) return res.status(200).json(await getUserQuota(username));
+      return res.status(200).json(await getQuotaConfig());
+    }
+
+    // PUT { roles: { student: { maxVMs, ... } }, groups: { <groupid>: { ... } } } replaces the configuration
+    if (req.method === 'PUT') {
+      const config = await saveQuotaConfig(req.body || {});
+      return res.status(200).json({ ok: true, ...config });
+    }
+
+    res.setHeader('Allow', 'GET,PUT');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+const ACCESS = {
+  GET: [ROLES.ADMIN, ROLES.TEACHER],
+  PUT: [ROLES.ADMIN],
+};
+
+export default withAuditActor(withRoles(ACCESS, handler));
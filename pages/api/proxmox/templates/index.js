@@ -0,0 +1,46 @@
+import {
+  createTemplateVM,
+  listAllTemplates,
+  listTemplateJobs,
+  retireTemplate,
+  saveTemplateMetadata,
+} from '../../../../lib/templateCatalog';
+import { errorStatus } from '../../../../lib/errors';
+import { withAuditActor } from '../../../../lib/audit';
+import { withRoles } from '../../../../lib/session';
+import { ROLES } from '../../../../lib/roles';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Every template (retired ones included) and recent import jobs
+    if (req.method === 'GET') {
+      const [templates, jobs] = await Promise.all([listAllTemplates(), listTemplateJobs()]);
+      return res.status(200).json({ templates, jobs });
+    }
+
+    // PATCH { name, metadata?, retired?, templateVm? } edits metadata, retires / restores a
+    // template and/or turns it into a Proxmox template VM for clone deployments
+    if (req.method === 'PATCH') {
+      const name = String(req.body?.name || '').trim();
+      if (!name) return res.status(400).json({ error: 'Missing name' });
+      const { metadata, retired, templateVm } = req.body || {};
+      if (metadata === undefined && retired === undefined && !templateVm) {
+        return res.status(400).json({ error: 'Nothing to change' });
+      }
+      let template;
+      if (metadata !== undefined) template = await saveTemplateMetadata(name, metadata);
+      if (retired !== undefined) template = await retireTemplate(name, Boolean(retired));
+      if (templateVm) template = await createTemplateVM(name);
+      return res.status(200).json({ ok: true, template });
+    }
+
+    res.setHeader('Allow', 'GET,PATCH');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withRoles([ROLES.ADMIN], handler));
@@ -0,0 +1,62 @@
+import { getTemplateJob, isFinalTemplateState, subscribeTemplateJob } from '../../../../../../lib/templateCatalog';
+import { errorStatus } from '../../../../../../lib/errors';
+import { withAuditActor } from '../../../../../../lib/audit';
+import { withRoles } from '../../../../../../lib/session';
+import { ROLES } from '../../../../../../lib/roles';
+
+// Server-Sent Events stream of a template import job; closes once the job is done or failed
+async function handler(req, res) {
+  // Subscribe before reading the job, so an update (even the final one) that lands
+  // in between is queued instead of lost
+  const jobId = String(req.query.jobId || '');
+  let queued = [];
+  const unsubscribe = subscribeTemplateJob(jobId, (update) => {
+    if (queued) queued.push(update);
+    else forward(update);
+  });
+
+  let job;
+  try {
+    job = await getTemplateJob(jobId);
+  } catch (e) {
+    unsubscribe();
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  let closed = false;
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', close);
+
+  function forward(update) {
+    if (closed) return;
+    res.write(`event: job\ndata: ${JSON.stringify(update)}\n\n`);
+    if (isFinalTemplateState(update.state)) close();
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  }
+
+  // Updates queued while reading that are older than the snapshot are left out
+  const pending = queued.filter((update) => update.updatedAt >= job.updatedAt);
+  queued = null;
+  forward(job);
+  pending.forEach(forward);
+}
+
+export default withAuditActor(withRoles({ GET: [ROLES.ADMIN] }, handler));
+
+export const config = {
+  api: { responseLimit: false },
+};
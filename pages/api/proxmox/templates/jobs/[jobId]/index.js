@@ -0,0 +1,18 @@
+import { getTemplateJob } from '../../../../../../lib/templateCatalog';
+import { errorStatus } from '../../../../../../lib/errors';
+import { withAuditActor } from '../../../../../../lib/audit';
+import { withRoles } from '../../../../../../lib/session';
+import { ROLES } from '../../../../../../lib/roles';
+
+// Current state of a template import job
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const job = await getTemplateJob(String(req.query.jobId || ''));
+    return res.status(200).json({ job });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withRoles({ GET: [ROLES.ADMIN] }, handler));
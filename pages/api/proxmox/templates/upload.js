@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { createWriteStream, promises as fs } from 'fs';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import { reserveTemplateUpload, startTemplateImport, uploadFormat } from '../../../../lib/templateCatalog';
+import { dataPath } from '../../../../lib/jsonStore';
+import { errorStatus, HttpError } from '../../../../lib/errors';
+import { withAuditActor } from '../../../../lib/audit';
+import { withRoles } from '../../../../lib/session';
+import { ROLES } from '../../../../lib/roles';
+
+// Largest image accepted, in GB
+const MAX_UPLOAD_GB = parseInt(process.env.TEMPLATE_UPLOAD_MAX_GB, 10) || 50;
+const MAX_UPLOAD_BYTES = MAX_UPLOAD_GB * 1024 ** 3;
+
+// Fails the pipeline once more than MAX_UPLOAD_BYTES came in
+function sizeLimit() {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_UPLOAD_BYTES) {
+        return callback(new HttpError(`Upload is larger than ${MAX_UPLOAD_GB} GB`, 413));
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+// POST ?name=<template>&filename=<file.ova|qcow2|vmdk>[&metadata=<json>] with the raw
+// file as body. Stores the upload, then starts the import job and answers 202.
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let localFile;
+  let releaseName = () => {};
+  try {
+    const name = String(req.query.name || '').trim();
+    const filename = String(req.query.filename || '').trim();
+    const format = uploadFormat(filename);
+    let metadata = {};
+    if (req.query.metadata) {
+      try {
+        metadata = JSON.parse(String(req.query.metadata));
+      } catch {
+        return res.status(400).json({ error: 'metadata must be JSON' });
+      }
+    }
+    if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({ error: `Upload is larger than ${MAX_UPLOAD_GB} GB` });
+    }
+    // Refuse before receiving gigabytes of data, also while another upload of this name is arriving
+    releaseName = await reserveTemplateUpload(name);
+
+    await fs.mkdir(dataPath('uploads'), { recursive: true });
+    localFile = dataPath('uploads', `${crypto.randomUUID()}.${format}`);
+    await pipeline(req, sizeLimit(), createWriteStream(localFile));
+
+    const job = await startTemplateImport({ name, localFile, originalName: filename, metadata });
+    res.setHeader('Location', `/api/proxmox/templates/jobs/${job.id}`);
+    return res.status(202).json({ ok: true, job });
+  } catch (e) {
+    if (localFile) await fs.unlink(localFile).catch(() => {});
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  } finally {
+    releaseName();
+  }
+}
+
+export default withAuditActor(withRoles([ROLES.ADMIN], handler));
+
+export const config = {
+  api: { bodyParser: false },
+};
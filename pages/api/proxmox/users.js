@@ -1,6 +1,18 @@
-import { decodeComment, getRealm, proxmoxDeleteUser, proxmoxListUsers } from '../../../lib/proxmoxApi';
+import {
+  decodeComment,
+  expireToIso,
+  getRealm,
+  proxmoxDeleteUser,
+  proxmoxListUsers,
+  proxmoxModifyUser,
+  proxmoxResetPassword,
+} from '../../../lib/proxmoxApi';
+import { errorStatus } from '../../../lib/errors';
+import { withAuditActor } from '../../../lib/audit';
+import { withRoles } from '../../../lib/session';
+import { ROLES } from '../../../lib/roles';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
     // Avoid browser 304 caching for admin pages; always return fresh state.
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
@@ -16,9 +28,12 @@ export default async function handler(req, res) {
           const { email, fullName } = decodeComment(u.comment);
           return {
             userid: u.userid,
-            email: email || '',
+            // Proxmox's email field; older accounts only have it in the comment
+            email: u.email || email || '',
             fullName: fullName || '',
             enabled: String(u.enable) !== '0',
+            expiresAt: expireToIso(u.expire),
+            groups: String(u.groups || '').split(',').filter(Boolean),
           };
         })
         .sort((a, b) => (a.email || a.userid).localeCompare(b.email || b.userid));
@@ -33,9 +48,45 @@ export default async function handler(req, res) {
       return res.status(200).json({ ok: true, userid: out.userid });
     }
 
-    res.setHeader('Allow', 'GET,DELETE');
+    // PATCH { userid, enabled?, expiresAt?, fullName?, email?, resetPassword?, password? }
+    // Only the fields that are present are changed; expiresAt null removes the expiry.
+    if (req.method === 'PATCH') {
+      const body = req.body || {};
+      const userid = String(body.userid || '').trim();
+      if (!userid) return res.status(400).json({ error: 'Missing userid' });
+
+      const changes = {
+        userid,
+        enable: body.enabled === undefined ? undefined : Boolean(body.enabled),
+        expire: body.expiresAt === undefined ? undefined : body.expiresAt,
+        fullName: body.fullName,
+        email: body.email,
+      };
+      const hasChanges = ['enable', 'expire', 'fullName', 'email'].some((k) => changes[k] !== undefined);
+      const wantsPassword = Boolean(body.resetPassword || body.password);
+      if (!hasChanges && !wantsPassword) return res.status(400).json({ error: 'Nothing to change' });
+
+      const out = hasChanges ? await proxmoxModifyUser(changes) : { userid };
+      if (wantsPassword) {
+        const reset = await proxmoxResetPassword({ userid, password: body.password });
+        // Returned once so the admin can pass it on; never stored
+        out.password = reset.password;
+        out.generatedPassword = reset.generated;
+      }
+      return res.status(200).json({ ok: true, ...out });
+    }
+
+    res.setHeader('Allow', 'GET,PATCH,DELETE');
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (e) {
-    return res.status(500).json({ error: String(e?.message || e) });
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
   }
-}
\ No newline at end of file
+}
+
+const ACCESS = {
+  GET: [ROLES.ADMIN, ROLES.TEACHER],
+  PATCH: [ROLES.ADMIN],
+  DELETE: [ROLES.ADMIN],
+};
+
+export default withAuditActor(withRoles(ACCESS, handler));
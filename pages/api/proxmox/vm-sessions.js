@@ -0,0 +1,35 @@
+import { extendVMSession, listDeployedVMs } from '../../../lib/proxmoxApi';
+import { errorStatus } from '../../../lib/errors';
+import { withAuditActor } from '../../../lib/audit';
+import { withRoles } from '../../../lib/session';
+import { ROLES } from '../../../lib/roles';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'GET') {
+      const vms = await listDeployedVMs();
+      return res.status(200).json({ vms });
+    }
+
+    if (req.method === 'POST') {
+      const vmid = String(req.body?.vmid || '').trim();
+      if (!vmid) return res.status(400).json({ error: 'Missing vmid' });
+      const out = await extendVMSession(vmid, { minutes: req.body?.minutes });
+      return res.status(200).json({ ok: true, ...out });
+    }
+
+    res.setHeader('Allow', 'GET,POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+const ACCESS = {
+  GET: [ROLES.ADMIN, ROLES.TEACHER],
+  POST: [ROLES.ADMIN],
+};
+
+export default withAuditActor(withRoles(ACCESS, handler));
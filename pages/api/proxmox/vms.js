@@ -0,0 +1,20 @@
+import { listVMOwners } from '../../../lib/proxmoxApi';
+import { errorStatus } from '../../../lib/errors';
+import { withAuditActor } from '../../../lib/audit';
+import { withRoles } from '../../../lib/session';
+import { ROLES } from '../../../lib/roles';
+
+// GET lists every VM with its owner, template and expiry; ?owner=<userid> narrows it to one user
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const owner = String(req.query.owner || '').trim();
+    let vms = await listVMOwners();
+    if (owner) vms = vms.filter((vm) => vm.owner === owner);
+    return res.status(200).json({ vms });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withRoles({ GET: [ROLES.ADMIN, ROLES.TEACHER] }, handler));
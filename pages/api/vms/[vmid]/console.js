@@ -0,0 +1,27 @@
+import { attachConsoleRelay, openVMConsole } from '../../../../lib/vmConsole';
+import { errorStatus } from '../../../../lib/errors';
+import { withSession } from '../../../../lib/session';
+import { withAuditActor } from '../../../../lib/audit';
+
+// POST { type?: "vnc" | "serial" } opens a console on an owned VM (admins: any deployed VM)
+// and answers with a single-use WebSocket URL for the viewer
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // The relay lives on the HTTP server itself, since API routes cannot take WebSocket upgrades
+    attachConsoleRelay(res.socket?.server);
+    const type = req.body?.type ? String(req.body.type) : undefined;
+    const out = await openVMConsole(String(req.query.vmid || ''), req.session, { type });
+    return res.status(200).json({ ok: true, ...out });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withSession(handler));
@@ -0,0 +1,25 @@
+import { extendVMSession } from '../../../../lib/proxmoxApi';
+import { errorStatus } from '../../../../lib/errors';
+import { withSession } from '../../../../lib/session';
+import { withAuditActor } from '../../../../lib/audit';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const out = await extendVMSession(String(req.query.vmid || ''), {
+      minutes: req.body?.minutes,
+      username: req.session.username,
+    });
+    return res.status(200).json({ ok: true, ...out });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withSession(handler));
@@ -0,0 +1,30 @@
+import { getUserVM, stopVM } from '../../../../lib/proxmoxApi';
+import { errorStatus } from '../../../../lib/errors';
+import { withSession } from '../../../../lib/session';
+import { withAuditActor } from '../../../../lib/audit';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const { username } = req.session;
+    const vmid = String(req.query.vmid || '');
+
+    if (req.method === 'GET') {
+      const vm = await getUserVM(vmid, username);
+      return res.status(200).json(vm);
+    }
+
+    if (req.method === 'DELETE') {
+      await getUserVM(vmid, username);
+      const out = await stopVM(vmid, username);
+      return res.status(200).json({ ok: true, ...out });
+    }
+
+    res.setHeader('Allow', 'GET,DELETE');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withSession(handler));
@@ -0,0 +1,23 @@
+import { resetVM } from '../../../../lib/proxmoxApi';
+import { errorStatus } from '../../../../lib/errors';
+import { withSession } from '../../../../lib/session';
+import { withAuditActor } from '../../../../lib/audit';
+
+// Roll the VM back to its "pristine" snapshot from deployment
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const out = await resetVM(String(req.query.vmid || ''), { username: req.session.username });
+    return res.status(200).json({ ok: true, ...out });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withSession(handler));
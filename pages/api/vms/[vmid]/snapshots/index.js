@@ -0,0 +1,32 @@
+import { createVMSnapshot, listVMSnapshots } from '../../../../../lib/proxmoxApi';
+import { errorStatus } from '../../../../../lib/errors';
+import { withSession } from '../../../../../lib/session';
+import { withAuditActor } from '../../../../../lib/audit';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const vmid = String(req.query.vmid || '');
+    const { username } = req.session;
+
+    if (req.method === 'GET') {
+      const snapshots = await listVMSnapshots(vmid, { username });
+      return res.status(200).json({ snapshots });
+    }
+
+    // POST { name, description? } takes a snapshot
+    if (req.method === 'POST') {
+      const name = String(req.body?.name || '').trim();
+      if (!name) return res.status(400).json({ error: 'Missing name' });
+      const out = await createVMSnapshot(vmid, { name, description: req.body?.description, username });
+      return res.status(201).json({ ok: true, ...out });
+    }
+
+    res.setHeader('Allow', 'GET,POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withSession(handler));
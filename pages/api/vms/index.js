@@ -0,0 +1,39 @@
+import { listUserVMs } from '../../../lib/proxmoxApi';
+import { createDeployJob } from '../../../lib/deployJobs';
+import { errorStatus } from '../../../lib/errors';
+import { withSession } from '../../../lib/session';
+import { withAuditActor } from '../../../lib/audit';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const { username } = req.session;
+
+    if (req.method === 'GET') {
+      const vms = await listUserVMs(username);
+      return res.status(200).json({ vms });
+    }
+
+    if (req.method === 'POST') {
+      const vmName = String(req.body?.vmName || '').trim();
+      if (!vmName) return res.status(400).json({ error: 'Missing vmName' });
+
+      // Deployments take minutes; hand back a job to poll or stream instead
+      const job = await createDeployJob({
+        vmName,
+        username,
+        memory: req.body?.memory,
+        cores: req.body?.cores,
+      });
+      res.setHeader('Location', `/api/vms/jobs/${job.id}`);
+      return res.status(202).json(job);
+    }
+
+    res.setHeader('Allow', 'GET,POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withSession(handler));
@@ -0,0 +1,66 @@
+import { getDeployJob, isFinalState, subscribeDeployJob } from '../../../../../lib/deployJobs';
+import { errorStatus } from '../../../../../lib/errors';
+import { withSession } from '../../../../../lib/session';
+import { withAuditActor } from '../../../../../lib/audit';
+
+// Server-Sent Events stream of a deployment job; closes once the job is done or failed
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Subscribe before reading the job, so an update (even the final one) that lands
+  // in between is queued instead of lost
+  const jobId = String(req.query.jobId || '');
+  let queued = [];
+  const unsubscribe = subscribeDeployJob(jobId, (update) => {
+    if (queued) queued.push(update);
+    else forward(update);
+  });
+
+  let job;
+  try {
+    job = await getDeployJob(jobId, req.session.username);
+  } catch (e) {
+    unsubscribe();
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  let closed = false;
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', close);
+
+  function forward(update) {
+    if (closed) return;
+    res.write(`event: job\ndata: ${JSON.stringify(update)}\n\n`);
+    if (isFinalState(update.state)) close();
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  }
+
+  // Updates queued while reading that are older than the snapshot are left out
+  const pending = queued.filter((update) => update.updatedAt >= job.updatedAt);
+  queued = null;
+  forward(job);
+  pending.forEach(forward);
+}
+
+export default withAuditActor(withSession(handler));
+
+export const config = {
+  api: { responseLimit: false },
+};
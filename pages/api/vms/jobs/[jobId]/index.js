@@ -0,0 +1,22 @@
+import { getDeployJob } from '../../../../../lib/deployJobs';
+import { errorStatus } from '../../../../../lib/errors';
+import { withSession } from '../../../../../lib/session';
+import { withAuditActor } from '../../../../../lib/audit';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const job = await getDeployJob(String(req.query.jobId || ''), req.session.username);
+    return res.status(200).json(job);
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withSession(handler));
@@ -0,0 +1,23 @@
+import { getUserQuota } from '../../../lib/proxmoxApi';
+import { errorStatus } from '../../../lib/errors';
+import { withSession } from '../../../lib/session';
+import { withAuditActor } from '../../../lib/audit';
+
+// The signed-in user's quota limits and current usage
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const quota = await getUserQuota(req.session.username);
+    return res.status(200).json(quota);
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withSession(handler));
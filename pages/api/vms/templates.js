@@ -0,0 +1,22 @@
+import { listAvailableTemplates } from '../../../lib/proxmoxApi';
+import { errorStatus } from '../../../lib/errors';
+import { withSession } from '../../../lib/session';
+import { withAuditActor } from '../../../lib/audit';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const templates = await listAvailableTemplates();
+    return res.status(200).json({ templates });
+  } catch (e) {
+    return res.status(errorStatus(e)).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withAuditActor(withSession(handler));
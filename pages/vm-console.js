@@ -0,0 +1,142 @@
+import { useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import '@xterm/xterm/css/xterm.css';
+
+function socketUrl(path) {
+  return `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}${path}`;
+}
+
+// Serial console: xterm.js speaking PVE's termproxy framing ("0:<len>:<data>" input, "1:<cols>:<rows>:" resize)
+async function openSerial(container, url) {
+  const { Terminal } = await import('@xterm/xterm');
+  const term = new Terminal({ cursorBlink: true, fontSize: 14 });
+  term.open(container);
+
+  const socket = new WebSocket(socketUrl(url), ['binary']);
+  socket.binaryType = 'arraybuffer';
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const sendResize = () => socket.readyState === WebSocket.OPEN && socket.send(`1:${term.cols}:${term.rows}:`);
+
+  socket.onopen = () => {
+    sendResize();
+    term.focus();
+  };
+  socket.onmessage = (e) => term.write(typeof e.data === 'string' ? e.data : decoder.decode(e.data));
+  term.onData((data) => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(`0:${encoder.encode(data).length}:${data}`);
+  });
+  term.onResize(sendResize);
+
+  return {
+    socket,
+    close: () => {
+      socket.close();
+      term.dispose();
+    },
+  };
+}
+
+// Graphical console: noVNC with PVE's VNC ticket as password
+async function openVnc(container, url, password) {
+  const { default: RFB } = await import('@novnc/novnc/core/rfb');
+  const rfb = new RFB(container, socketUrl(url), { credentials: { password }, wsProtocols: ['binary'] });
+  rfb.scaleViewport = true;
+  rfb.focusOnClick = true;
+  return {
+    rfb,
+    close: () => rfb.disconnect(),
+  };
+}
+
+export default function VmConsolePage() {
+  const router = useRouter();
+  const { vmid, type } = router.query;
+  const containerRef = useRef(null);
+  const sessionRef = useRef(null);
+  const [status, setStatus] = useState('Connecting...');
+  const [error, setError] = useState('');
+  const [consoleType, setConsoleType] = useState(null);
+
+  useEffect(() => {
+    if (!router.isReady || !vmid) return;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const res = await fetch(`/api/vms/${encodeURIComponent(vmid)}/console`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(type ? { type } : {}),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || 'Could not open the console');
+        if (cancelled) return;
+
+        setConsoleType(data.type);
+        const session =
+          data.type === 'serial'
+            ? await openSerial(containerRef.current, data.url)
+            : await openVnc(containerRef.current, data.url, data.password);
+        sessionRef.current = session;
+
+        const target = session.socket || session.rfb;
+        const onClose = () => !cancelled && setStatus('Disconnected');
+        if (session.socket) {
+          target.addEventListener('open', () => setStatus('Connected'));
+          target.addEventListener('close', onClose);
+        } else {
+          target.addEventListener('connect', () => setStatus('Connected'));
+          target.addEventListener('disconnect', onClose);
+        }
+      } catch (e) {
+        if (!cancelled) setError(String(e?.message || e));
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      sessionRef.current?.close();
+      sessionRef.current = null;
+    };
+  }, [router.isReady, vmid, type]);
+
+  const switchType = consoleType === 'serial' ? 'vnc' : 'serial';
+
+  return (
+    <>
+      <header className="site-header">
+        <div className="header-inner">
+          <Link href="/" className="brand">
+            Narrekappe<span className="accent">.</span>
+          </Link>
+          <nav className="main-nav">
+            <Link href="/">Home</Link>
+          </nav>
+        </div>
+      </header>
+
+      <main className="container py-8">
+        <div className="flex items-center justify-between gap-3 flex-wrap mb-4">
+          <h1 className="text-2xl font-bold">Console – VM {vmid}</h1>
+          <div className="flex items-center gap-3">
+            <span className="text-sm text-narrek-muted">{error ? 'Not connected' : status}</span>
+            {consoleType && (
+              <Link className="btn btn-sm btn-ghost" href={`/vm-console?vmid=${vmid}&type=${switchType}`}>
+                {switchType === 'serial' ? 'Serial console' : 'Graphical console'}
+              </Link>
+            )}
+          </div>
+        </div>
+
+        {error && <div className="p-4 bg-red-100 text-red-700 rounded mb-4">{error}</div>}
+
+        <div
+          ref={containerRef}
+          style={{ width: '100%', height: '70vh', background: '#000', borderRadius: 8, overflow: 'hidden' }}
+        />
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,87 @@
+// test/fakes/nodemailer.mjs
+// Stand-in for nodemailer when it isn't installed: createTransport({ host, port }).sendMail()
+// delivers plain-text messages over unencrypted SMTP without authentication
+
+import net from 'node:net';
+import { once } from 'node:events';
+
+// "Name <addr@example>" -> "addr@example"
+function address(value) {
+  const match = /<([^>]*)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+// One SMTP conversation: send each command and wait for a reply with the expected code
+async function converse(host, port, steps) {
+  const socket = net.connect(port, host);
+  socket.setEncoding('utf8');
+  let buffer = '';
+  const replies = [];
+  let wake = null;
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let idx;
+    while ((idx = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      // Multiline replies ("250-...") end with "250 ..."
+      if (line[3] !== '-') replies.push(line);
+    }
+    wake?.();
+  });
+  const failed = once(socket, 'error').then(([e]) => {
+    throw e;
+  });
+  failed.catch(() => {});
+
+  const reply = async (expected) => {
+    while (replies.length === 0) {
+      await Promise.race([new Promise((resolve) => (wake = resolve)), failed]);
+    }
+    const line = replies.shift();
+    if (!line.startsWith(expected)) throw new Error(`SMTP: expected ${expected}, got "${line}"`);
+  };
+
+  try {
+    await reply('220');
+    for (const [command, expected] of steps) {
+      socket.write(`${command}\r\n`);
+      await reply(expected);
+    }
+  } finally {
+    socket.end();
+  }
+}
+
+function createTransport({ host = 'localhost', port = 587 } = {}) {
+  return {
+    async sendMail({ from, to, subject = '', text = '' }) {
+      const recipients = (Array.isArray(to) ? to : String(to).split(',')).map(address).filter(Boolean);
+      const body = String(text)
+        .split(/\r?\n/)
+        .map((line) => (line.startsWith('.') ? `.${line}` : line))
+        .join('\r\n');
+      const message = [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${subject}`,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        body,
+      ].join('\r\n');
+
+      await converse(host, port, [
+        ['EHLO localhost', '250'],
+        [`MAIL FROM:<${address(from)}>`, '250'],
+        ...recipients.map((r) => [`RCPT TO:<${r}>`, '250']),
+        ['DATA', '354'],
+        [`${message}\r\n.`, '250'],
+        ['QUIT', '221'],
+      ]);
+      return { accepted: recipients, rejected: [] };
+    },
+  };
+}
+
+export default { createTransport };
@@ -0,0 +1,19 @@
+// test/fakes/ssh2.mjs
+// Stand-in for ssh2 when it isn't installed: lib/sshPool.js loads, but every
+// connection attempt fails, so the tests can only use the REST backend
+
+import { EventEmitter } from 'node:events';
+
+export class Client extends EventEmitter {
+  connect() {
+    setImmediate(() => {
+      this.emit('error', new Error('ssh2 is not installed'));
+      this.emit('close');
+    });
+    return this;
+  }
+
+  end() {}
+}
+
+export default { Client };
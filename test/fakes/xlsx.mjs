@@ -0,0 +1,11 @@
+// test/fakes/xlsx.mjs
+// Stand-in for SheetJS when it isn't installed: enough for lib/importParser.js to load.
+// Reports an old version, so parseXlsx refuses to run without the real package.
+
+export const version = '0.0.0';
+
+export function read() {
+  throw new Error('SheetJS is not installed');
+}
+
+export const utils = {};
@@ -0,0 +1,38 @@
+// test/hooks.mjs
+// Module hooks for the tests: extensionless relative imports ("./proxmoxRest") resolve to
+// .js files, the repo's own .js files load as ES modules, and packages that aren't
+// installed fall back to the stand-ins in test/fakes/
+
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Packages with a stand-in, used when the real one isn't installed
+const FAKES = {
+  nodemailer: new URL('./fakes/nodemailer.mjs', import.meta.url).href,
+  ssh2: new URL('./fakes/ssh2.mjs', import.meta.url).href,
+  xlsx: new URL('./fakes/xlsx.mjs', import.meta.url).href,
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (e) {
+    if (e.code === 'ERR_MODULE_NOT_FOUND' && FAKES[specifier]) {
+      return { url: FAKES[specifier], shortCircuit: true };
+    }
+    if (!specifier.startsWith('.') || path.extname(specifier)) throw e;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:') && url.endsWith('.js')) {
+    const file = fileURLToPath(url);
+    if (file.startsWith(ROOT + path.sep) && !file.includes(`${path.sep}node_modules${path.sep}`)) {
+      return nextLoad(url, { ...context, format: 'module' });
+    }
+  }
+  return nextLoad(url, context);
+}
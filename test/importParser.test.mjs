@@ -0,0 +1,86 @@
+// test/importParser.test.mjs
+// CSV user imports: BOM, delimiter detection, quoted fields, header aliases and row numbers
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseImport } from '../lib/importParser.js';
+
+test('parseCsv reads a plain comma-separated file', () => {
+  const { header, rows } = parseCsv('first_name,last_name,email\nJan,Berg,jan@example.test\nPiet,Smit,\n');
+
+  assert.deepEqual(header, ['first_name', 'last_name', 'email']);
+  assert.deepEqual(rows, [
+    { row: 2, first_name: 'Jan', last_name: 'Berg', email: 'jan@example.test' },
+    { row: 3, first_name: 'Piet', last_name: 'Smit', email: '' },
+  ]);
+});
+
+test('parseCsv strips a byte order mark', () => {
+  const { header } = parseCsv('\uFEFFfirst_name,last_name\r\nJan,Berg\r\n');
+  assert.deepEqual(header, ['first_name', 'last_name']);
+});
+
+test('parseCsv detects semicolon and tab delimiters from the header line', () => {
+  // Excel in a Dutch locale: semicolons, and decimal commas inside the fields
+  const semicolon = parseCsv('voornaam;achternaam;klas\nJan;Berg;3,1\n');
+  assert.deepEqual(semicolon.header, ['first_name', 'last_name', 'group']);
+  assert.deepEqual(semicolon.rows, [{ row: 2, first_name: 'Jan', last_name: 'Berg', group: '3,1' }]);
+
+  const tab = parseCsv('First Name\tLast-Name\tE-mail\nJan\tBerg, van den\tjan@example.test\n');
+  assert.deepEqual(tab.header, ['first_name', 'last_name', 'email']);
+  assert.equal(tab.rows[0].last_name, 'Berg, van den');
+});
+
+test('parseCsv ignores delimiters inside quotes when detecting', () => {
+  const { header } = parseCsv('"first;name","last;name",email\nJan,Berg,jan@example.test\n');
+  assert.equal(header.length, 3);
+});
+
+test('parseCsv keeps delimiters, "" escapes and line breaks inside quoted fields', () => {
+  const { rows } = parseCsv(
+    'first_name,last_name,password\n' +
+      '"Jan, Jr.","O""Brien","pa,ss""word"\n' +
+      'Piet,"Smit\nde Vries",x\n'
+  );
+
+  assert.deepEqual(rows[0], { row: 2, first_name: 'Jan, Jr.', last_name: 'O"Brien', password: 'pa,ss"word' });
+  assert.equal(rows[1].last_name, 'Smit\nde Vries');
+});
+
+test('parseCsv numbers rows by the source line they start on', () => {
+  const { rows } = parseCsv(
+    'first_name,last_name\r\n' +
+      '\r\n' +
+      'Jan,"Berg\r\nover two lines"\r\n' +
+      ',\r\n' +
+      'Piet,Smit'
+  );
+
+  // Blank lines are skipped, a multiline field pushes the next row down, and the
+  // last line needs no line break
+  assert.deepEqual(
+    rows.map((r) => [r.row, r.first_name]),
+    [
+      [3, 'Jan'],
+      [6, 'Piet'],
+    ]
+  );
+});
+
+test('parseCsv trims fields, keeps unknown columns and tolerates short rows', () => {
+  const { header, rows } = parseCsv('first_name,notes,last_name,role\n  Jan  ,hello, Berg \nPiet\n');
+
+  assert.deepEqual(header, ['first_name', 'notes', 'last_name', 'role']);
+  assert.deepEqual(rows[0], { row: 2, first_name: 'Jan', notes: 'hello', last_name: 'Berg', role: '' });
+  assert.deepEqual(rows[1], { row: 3, first_name: 'Piet', notes: '', last_name: '', role: '' });
+});
+
+test('parseCsv returns nothing for empty input', () => {
+  for (const text of ['', '\uFEFF', '\n\n', ' , \n', undefined]) {
+    assert.deepEqual(parseCsv(text), { header: [], rows: [] });
+  }
+});
+
+test('parseImport parses { csv } as CSV', () => {
+  assert.deepEqual(parseImport({ csv: 'first_name\nJan\n' }).rows, [{ row: 2, first_name: 'Jan' }]);
+});
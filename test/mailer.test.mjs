@@ -0,0 +1,119 @@
+// test/mailer.test.mjs
+// Welcome emails against a local SMTP catcher: template placeholders, and import rows
+// without an email address are skipped
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startPveStub, startSmtpCatcher } from './stubs.mjs';
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'narrekappe-mailer-'));
+const templateFile = path.join(tmp, 'welcome.txt');
+await fs.writeFile(
+  templateFile,
+  'Dear {{fullName}},\nuser {{ username }} / pass {{password}}\nSign in at {{loginUrl}}{{unknown}}\n'
+);
+
+const smtp = await startSmtpCatcher();
+const pve = await startPveStub();
+process.env.SMTP_HOST = '127.0.0.1';
+process.env.SMTP_PORT = String(smtp.port);
+process.env.MAIL_FROM = 'Lab <lab@example.test>';
+process.env.WELCOME_EMAIL_SUBJECT = 'Welcome to the lab';
+process.env.WELCOME_EMAIL_TEMPLATE = templateFile;
+process.env.PROXMOX_BACKEND = 'api';
+process.env.PROXMOX_API_URL = pve.url;
+process.env.PROXMOX_API_TOKEN_ID = 'webapp@pve!portal';
+process.env.PROXMOX_API_TOKEN_SECRET = 'token-secret';
+process.env.DATA_DIR = tmp;
+
+const { sendWelcomeEmail } = await import('../lib/mailer.js');
+const { runImport } = await import('../lib/userImport.js');
+
+// Message body without the headers, with quoted-printable soft line breaks undone
+function body(message) {
+  const text = message.data.slice(message.data.indexOf('\r\n\r\n') + 4);
+  return text.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function planRow(row, { email = '', ...rest } = {}) {
+  return {
+    row,
+    firstName: 'Jan',
+    lastName: `Berg${row}`,
+    fullName: `Jan Berg${row}`,
+    userid: `jberg${row}@pve`,
+    password: `Secret-${row}`,
+    email,
+    expire: '',
+    group: '',
+    role: '',
+    ok: true,
+    errors: [],
+    warnings: [],
+    ...rest,
+  };
+}
+
+beforeEach(() => {
+  smtp.messages.length = 0;
+  pve.reset();
+  pve.on('POST /access/users', () => ({ data: null }));
+});
+
+after(async () => {
+  await smtp.close();
+  await pve.close();
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('sendWelcomeEmail fills in the template placeholders', async () => {
+  await sendWelcomeEmail({
+    to: 'jan@example.test',
+    fullName: 'Jan Berg',
+    username: 'jberg',
+    password: 'S3cret!pw',
+    loginUrl: 'https://lab.example.test/login',
+  });
+
+  assert.equal(smtp.messages.length, 1);
+  const [message] = smtp.messages;
+  assert.equal(message.from, 'lab@example.test');
+  assert.deepEqual(message.to, ['jan@example.test']);
+  assert.match(message.data, /^Subject: Welcome to the lab$/m);
+  assert.equal(
+    body(message).trim(),
+    'Dear Jan Berg,\r\nuser jberg / pass S3cret!pw\r\nSign in at https://lab.example.test/login'
+  );
+});
+
+test('runImport only mails new users that have an email address', async () => {
+  const plan = [planRow(1, { email: 'jberg1@example.test' }), planRow(2), planRow(3, { email: 'jberg3@example.test' })];
+
+  const { results } = await runImport(plan, { sendWelcome: true, loginUrl: 'https://lab.example.test/login' });
+
+  assert.deepEqual(
+    pve.requests.filter((r) => r.path === '/access/users').map((r) => r.body.userid),
+    ['jberg1@pve', 'jberg2@pve', 'jberg3@pve']
+  );
+  assert.deepEqual(
+    smtp.messages.map((m) => m.to),
+    [['jberg1@example.test'], ['jberg3@example.test']]
+  );
+  assert.match(body(smtp.messages[1]), /user jberg3 \/ pass Secret-3/);
+  assert.deepEqual(
+    results.map((r) => [r.userid, r.ok, r.emailSent]),
+    [
+      ['jberg1@pve', true, true],
+      ['jberg2@pve', true, undefined],
+      ['jberg3@pve', true, true],
+    ]
+  );
+});
+
+test('runImport sends nothing without sendWelcome', async () => {
+  await runImport([planRow(4, { email: 'jberg4@example.test' })]);
+  assert.equal(smtp.messages.length, 0);
+});
@@ -0,0 +1,121 @@
+// test/restBackend.test.mjs
+// REST backend against a local PVE API stub: auth header, task polling, error mapping
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPveStub } from './stubs.mjs';
+
+const pve = await startPveStub();
+process.env.PROXMOX_API_URL = pve.url;
+process.env.PROXMOX_API_TOKEN_ID = 'webapp@pve!portal';
+process.env.PROXMOX_API_TOKEN_SECRET = 'token-secret';
+process.env.PROXMOX_NODE = 'pve';
+
+const rest = await import('../lib/restBackend.js');
+const { ProxmoxApiError, requestTicket } = await import('../lib/proxmoxRest.js');
+
+const UPID = 'UPID:pve:0000AAAA:0000BBBB:65000000:qmcreate:200:webapp@pve!portal:';
+const TASK_STATUS = `GET /nodes/pve/tasks/${encodeURIComponent(UPID)}/status`;
+
+// Answer a task status poll: "running" for the first `polls` requests, then stopped with exitstatus
+function task(exitstatus = 'OK', polls = 0) {
+  let seen = 0;
+  return () => ({ data: seen++ < polls ? { status: 'running' } : { status: 'stopped', exitstatus } });
+}
+
+beforeEach(() => pve.reset());
+after(() => pve.close());
+
+test('createVM posts the options with the API token and waits for the task', async () => {
+  pve.on('POST /nodes/pve/qemu', () => ({ data: UPID }));
+  pve.on(TASK_STATUS, task('OK', 1));
+
+  await rest.createVM(200, { name: 'lab-jdoe', memory: 2048, cores: 2, net0: 'virtio,bridge=vmbr1', pool: undefined });
+
+  const [create, ...polls] = pve.requests;
+  assert.equal(create.headers.authorization, 'PVEAPIToken=webapp@pve!portal=token-secret');
+  assert.equal(create.headers['content-type'], 'application/x-www-form-urlencoded');
+  assert.deepEqual(create.body, {
+    vmid: '200',
+    name: 'lab-jdoe',
+    memory: '2048',
+    cores: '2',
+    net0: 'virtio,bridge=vmbr1',
+  });
+  assert.equal(polls.length, 2);
+  assert.ok(polls.every((r) => `${r.method} ${r.path}` === TASK_STATUS));
+});
+
+test('startVM starts the VM and waits for the task', async () => {
+  pve.on('POST /nodes/pve/qemu/200/status/start', () => ({ data: UPID }));
+  pve.on(TASK_STATUS, task());
+
+  await rest.startVM(200);
+
+  assert.deepEqual(
+    pve.requests.map((r) => `${r.method} ${r.path}`),
+    ['POST /nodes/pve/qemu/200/status/start', TASK_STATUS]
+  );
+});
+
+test('destroyVM purges the VM and its unreferenced disks', async () => {
+  pve.on('DELETE /nodes/pve/qemu/200', () => ({ data: UPID }));
+  pve.on(TASK_STATUS, task());
+
+  await rest.destroyVM(200);
+
+  const [destroy] = pve.requests;
+  assert.equal(destroy.method, 'DELETE');
+  assert.deepEqual(destroy.query, { purge: '1', 'destroy-unreferenced-disks': '1' });
+  assert.deepEqual(destroy.body, {});
+});
+
+test('a task that stops with an error rejects with its exit status', async () => {
+  pve.on('POST /nodes/pve/qemu/200/status/start', () => ({ data: UPID }));
+  pve.on(TASK_STATUS, task('start failed: QEMU exited with code 1'));
+
+  await assert.rejects(rest.startVM(200), (e) => {
+    assert.ok(e instanceof ProxmoxApiError);
+    assert.equal(e.status, 500);
+    assert.equal(e.message, 'Task failed: start failed: QEMU exited with code 1');
+    return true;
+  });
+});
+
+test('401 and 403 become ProxmoxApiErrors with the reason phrase and field errors', async () => {
+  pve.on('GET /access/users', () => ({ status: 401, reason: 'invalid token value!' }));
+  await assert.rejects(rest.listUsers(), (e) => {
+    assert.ok(e instanceof ProxmoxApiError);
+    assert.equal(e.status, 401);
+    assert.equal(e.message, 'invalid token value!');
+    return true;
+  });
+
+  pve.on('POST /nodes/pve/qemu/200/status/start', () => ({
+    status: 403,
+    reason: 'Permission check failed',
+    errors: { vmid: '/vms/200, VM.PowerMgmt' },
+  }));
+  await assert.rejects(rest.startVM(200), (e) => {
+    assert.ok(e instanceof ProxmoxApiError);
+    assert.equal(e.status, 403);
+    assert.equal(e.message, 'Permission check failed - vmid: /vms/200, VM.PowerMgmt');
+    assert.deepEqual(e.errors, { vmid: '/vms/200, VM.PowerMgmt' });
+    return true;
+  });
+  // No task is polled after a refused request
+  assert.ok(!pve.requests.some((r) => r.path.includes('/tasks/')));
+});
+
+test('requestTicket resolves null on 401 and sends no API token', async () => {
+  pve.on('POST /access/ticket', ({ body }) =>
+    body.password === 'right'
+      ? { data: { ticket: 'PVE:jdoe@pve:TICKET', CSRFPreventionToken: 'CSRF', username: body.username } }
+      : { status: 401, reason: 'authentication failure' }
+  );
+
+  assert.equal(await requestTicket('jdoe@pve', 'wrong'), null);
+  const ticket = await requestTicket('jdoe@pve', 'right');
+  assert.equal(ticket.ticket, 'PVE:jdoe@pve:TICKET');
+  assert.ok(pve.requests.every((r) => r.headers.authorization === undefined));
+});
@@ -0,0 +1,6 @@
+// test/setup.mjs
+// Loaded with --import before the tests: lets Node run lib/ the way Next.js bundles it
+
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
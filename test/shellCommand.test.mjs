@@ -0,0 +1,143 @@
+// test/shellCommand.test.mjs
+// Quoting and validation for the commands the SSH backend runs on the Proxmox host
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import {
+  CommandArgumentError,
+  shellQuote,
+  buildCommand,
+  assertUserid,
+  assertUsername,
+  assertVmid,
+  assertTemplateName,
+  assertSnapshotName,
+  assertGroupid,
+  assertPoolid,
+  assertRoleid,
+  assertPositiveInt,
+} from '../lib/shellCommand.js';
+
+const isArgumentError = (e) => e instanceof CommandArgumentError;
+
+// What /bin/sh hands to the program after parsing the quoted argument
+function shellParse(quoted) {
+  return execFileSync('/bin/sh', ['-c', `printf '%s' ${quoted}`], { encoding: 'utf8' });
+}
+
+test('shellQuote leaves plain words alone', () => {
+  assert.equal(shellQuote('jdoe@pve'), 'jdoe@pve');
+  assert.equal(shellQuote('/var/lib/vz/template/qemu/ubuntu-disk0.qcow2'), '/var/lib/vz/template/qemu/ubuntu-disk0.qcow2');
+  assert.equal(shellQuote('--memory'), '--memory');
+  assert.equal(shellQuote(2048), '2048');
+});
+
+test('shellQuote single-quotes shell metacharacters, quotes and newlines', () => {
+  const nasty = [
+    'a b',
+    '$(reboot)',
+    '`id`',
+    'x; rm -rf /',
+    'a && b || c',
+    'out > /etc/passwd',
+    'in < /etc/shadow',
+    'a | b',
+    '*',
+    '~root',
+    '${HOME}',
+    'back\\slash',
+    "it's",
+    "''",
+    '"double"',
+    'line1\nline2',
+    'tab\there',
+    '',
+  ];
+  for (const arg of nasty) {
+    const quoted = shellQuote(arg);
+    assert.match(quoted, /^'.*'$/s, `${JSON.stringify(arg)} is not quoted`);
+    assert.equal(shellParse(quoted), arg, `${JSON.stringify(arg)} does not survive the shell`);
+  }
+  assert.equal(shellQuote("it's"), `'it'\\''s'`);
+});
+
+test('shellQuote refuses NUL bytes, non-finite numbers and other types', () => {
+  assert.throws(() => shellQuote('a\0b'), isArgumentError);
+  assert.throws(() => shellQuote(NaN), isArgumentError);
+  assert.throws(() => shellQuote(Infinity), isArgumentError);
+  for (const arg of [undefined, null, true, {}, ['a']]) {
+    assert.throws(() => shellQuote(arg), isArgumentError);
+  }
+});
+
+test('buildCommand quotes every argument', () => {
+  assert.equal(
+    buildCommand('pveum', ['user', 'modify', 'jdoe@pve', '--comment', 'Jan "JD" O\'Brien; $(id)']),
+    `pveum user modify jdoe@pve --comment 'Jan "JD" O'\\''Brien; $(id)'`
+  );
+  assert.equal(buildCommand('qm', ['start', 200]), 'qm start 200');
+  assert.equal(buildCommand('arp'), 'arp');
+});
+
+test('buildCommand only runs allow-listed programs', () => {
+  for (const program of ['bash', 'sh', 'curl', 'qm;id', '/usr/sbin/qm', 'qm ', '']) {
+    assert.throws(() => buildCommand(program, []), isArgumentError, program);
+  }
+});
+
+test('assertUserid wants name@realm', () => {
+  assert.equal(assertUserid('jdoe@pve'), 'jdoe@pve');
+  assert.equal(assertUserid('j.doe-2@pve'), 'j.doe-2@pve');
+  for (const bad of ['jdoe', '@pve', 'jdoe@', 'j doe@pve', 'jdoe@pve;id', '-jdoe@pve', 'a@b@c', `${'a'.repeat(61)}@pve`, 42]) {
+    assert.throws(() => assertUserid(bad), isArgumentError, String(bad));
+  }
+});
+
+test('assertUsername refuses realms and metacharacters', () => {
+  assert.equal(assertUsername('jdoe'), 'jdoe');
+  for (const bad of ['jdoe@pve', '', '.jdoe', 'j doe', 'jdoe\n', 'a'.repeat(65), null]) {
+    assert.throws(() => assertUsername(bad), isArgumentError, String(bad));
+  }
+});
+
+test('assertVmid takes decimal VMIDs from 100 to 999999999', () => {
+  assert.equal(assertVmid(100), 100);
+  assert.equal(assertVmid('200'), 200);
+  assert.equal(assertVmid('999999999'), 999999999);
+  for (const bad of [99, '99', 1000000000, '1e3', '0x64', '0200', ' 200', '200\n', '200.0', 200.5, -200, '', null, undefined, NaN]) {
+    assert.throws(() => assertVmid(bad), isArgumentError, String(bad));
+  }
+});
+
+test('assertTemplateName refuses paths', () => {
+  assert.equal(assertTemplateName('ubuntu-22.04'), 'ubuntu-22.04');
+  for (const bad of ['../etc', 'a/b', '.hidden', 'a b', '', 'a'.repeat(65)]) {
+    assert.throws(() => assertTemplateName(bad), isArgumentError, bad);
+  }
+});
+
+test('assertSnapshotName follows PVE snapshot naming', () => {
+  assert.equal(assertSnapshotName('before_update-1'), 'before_update-1');
+  for (const bad of ['current', '1st', 'a', 'a.b', 'a b', `a${'b'.repeat(40)}`, '']) {
+    assert.throws(() => assertSnapshotName(bad), isArgumentError, bad);
+  }
+});
+
+test('assertGroupid, assertPoolid and assertRoleid share the PVE id format', () => {
+  for (const assertId of [assertGroupid, assertPoolid, assertRoleid]) {
+    assert.equal(assertId('class-2024.a_1'), 'class-2024.a_1');
+    for (const bad of ['', '-x', 'a b', 'a/b', 'a;b', 'a'.repeat(65), 7]) {
+      assert.throws(() => assertId(bad), isArgumentError, String(bad));
+    }
+  }
+  assert.throws(() => assertPoolid('a b'), /Invalid pool: a b/);
+});
+
+test('assertPositiveInt returns a number and refuses zero, fractions and text', () => {
+  assert.equal(assertPositiveInt('2048', 'memory'), 2048);
+  assert.equal(assertPositiveInt(2, 'cores'), 2);
+  for (const bad of [0, -1, 1.5, 'two', '', null]) {
+    assert.throws(() => assertPositiveInt(bad, 'cores'), isArgumentError, String(bad));
+  }
+});
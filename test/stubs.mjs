@@ -0,0 +1,111 @@
+// test/stubs.mjs
+// Local stand-ins for the services lib/ talks to: a PVE API and an SMTP server
+
+import http from 'node:http';
+import net from 'node:net';
+
+// PVE API stub. Handlers are looked up by "METHOD /path" (the part after /api2/json)
+// and return { data } or { status, reason, errors }; every request is recorded.
+export async function startPveStub() {
+  const routes = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://stub');
+      const path = url.pathname.replace(/^\/api2\/json/, '');
+      const request = {
+        method: req.method,
+        path,
+        query: Object.fromEntries(url.searchParams),
+        body: Object.fromEntries(new URLSearchParams(raw)),
+        headers: req.headers,
+      };
+      requests.push(request);
+
+      const handler = routes.get(`${req.method} ${path}`);
+      const reply = handler ? await handler(request) : { status: 501, reason: `No stub for ${req.method} ${path}` };
+      const status = reply.status || 200;
+      res.writeHead(status, reply.reason || http.STATUS_CODES[status], { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status < 300 ? { data: reply.data ?? null } : { data: null, errors: reply.errors }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    on(route, handler) {
+      routes.set(route, handler);
+    },
+    reset() {
+      routes.clear();
+      requests.length = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Minimal SMTP server that accepts every message and keeps { from, to, data }
+export async function startSmtpCatcher() {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = { from: null, to: [], data: '' };
+    let inData = false;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 catcher ESMTP');
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(message);
+            message = { from: null, to: [], data: '' };
+            reply('250 OK queued');
+          } else {
+            message.data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') reply('250 catcher');
+        else if (command === 'MAIL') {
+          message.from = line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, '').split(' ')[0];
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          message.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, '').split(' ')[0]);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else reply('250 OK');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}